@@ -0,0 +1,135 @@
+/**
+ * Fond du mode blur: flou de l'image (intensité, grossissement, assombrissement réglables), couleur unie,
+ * dégradé, image fixe (habillage de la chaîne) ou vidéo en boucle. La vidéo reste entière au premier plan.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { CliError, EXIT_CODES, validateRanges } = require("./cli");
+
+const BACKGROUND_STYLES = ["blur", "color", "gradient", "image", "video"];
+const GRADIENT_DIRECTIONS = ["vertical", "horizontal", "diagonal"];
+
+// Styles qui ajoutent une entrée à ffmpeg (image en boucle, vidéo en boucle)
+const INPUT_STYLES = ["image", "video"];
+
+const DEFAULT_BACKGROUND_SETTINGS = {
+    style: "blur",
+    // Rayon du flou (0: aucun flou), grossissement de l'image floue, assombrissement (0: aucun, 1: noir)
+    blur: 20,
+    zoom: 1,
+    darken: 0,
+    color: "#000000",
+    // Couleurs de début et de fin du dégradé
+    gradient: ["#0F2027", "#2C5364"],
+    gradientDirection: "vertical",
+    // Relatifs au dossier de l'exécutable (configuration) ou au dossier courant (--background-file)
+    image: null,
+    video: null,
+};
+
+// Réduction de l'image calculée pour le dégradé, agrandie ensuite (geq est évalué pixel par pixel)
+const GRADIENT_REDUCTION = 8;
+
+/**
+ * Résout le fond: configuration ("background"), puis --background et --background-file
+ * @param {object} [config] - Section "background" du fichier de configuration
+ * @param {object} [options] - { background, backgroundFile }
+ * @param {string} [exeDir] - Dossier de l'exécutable (fichiers de la configuration)
+ * @returns {object} - Réglages validés, image et vidéo en chemins absolus
+ * @throws {CliError} - Si un réglage est invalide ou si le fichier du fond est introuvable
+ */
+function resolveBackgroundSettings(config = {}, options = {}, exeDir = process.cwd()) {
+    const settings = { ...DEFAULT_BACKGROUND_SETTINGS, ...config };
+    for (const key of ["image", "video"]) {
+        if (settings[key]) settings[key] = path.resolve(exeDir, settings[key]);
+    }
+    if (options.background !== undefined) settings.style = options.background;
+    if (options.backgroundFile !== undefined) {
+        // Le fichier donné en ligne de commande sert d'image ou de vidéo selon le style
+        if (!INPUT_STYLES.includes(settings.style)) {
+            throw new CliError("--background-file ne concerne que les fonds image et video.", EXIT_CODES.USAGE);
+        }
+        settings[settings.style] = path.resolve(options.backgroundFile);
+    }
+
+    if (!BACKGROUND_STYLES.includes(settings.style)) {
+        throw new CliError(`Fond inconnu: "${settings.style}" (attendu: ${BACKGROUND_STYLES.join(", ")}).`, EXIT_CODES.USAGE);
+    }
+    const ranges = { blur: [0, 50], zoom: [1, 4], darken: [0, 1] };
+    validateRanges(settings, ranges, "fond");
+    const colours = [settings.color, ...(Array.isArray(settings.gradient) ? settings.gradient : [])];
+    if (!Array.isArray(settings.gradient) || settings.gradient.length !== 2 || !colours.every(c => parseColour(c))) {
+        throw new CliError(`Couleurs de fond invalides: ${JSON.stringify({ color: settings.color, gradient: settings.gradient })} (attendu "#RRGGBB", dégradé de deux couleurs).`, EXIT_CODES.USAGE);
+    }
+    if (!GRADIENT_DIRECTIONS.includes(settings.gradientDirection)) {
+        throw new CliError(`Direction de dégradé invalide: ${settings.gradientDirection} (attendu: ${GRADIENT_DIRECTIONS.join(", ")}).`, EXIT_CODES.USAGE);
+    }
+    if (INPUT_STYLES.includes(settings.style)) {
+        const file = settings[settings.style];
+        if (!file) {
+            throw new CliError(`Le fond ${settings.style} demande un fichier (--background-file ou "background.${settings.style}" dans la configuration).`, EXIT_CODES.USAGE);
+        }
+        if (!fs.existsSync(file)) {
+            throw new CliError(`Fichier de fond introuvable: ${file}`, EXIT_CODES.INPUT);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Lit une couleur "#RRGGBB"
+ * @param {string} value
+ * @returns {number[]|null} - [r, g, b], null si la couleur est invalide
+ */
+function parseColour(value) {
+    const match = String(value).trim().match(/^#([0-9A-F]{2})([0-9A-F]{2})([0-9A-F]{2})$/i);
+    return match ? match.slice(1).map(hex => parseInt(hex, 16)) : null;
+}
+
+/**
+ * Fichier ajouté en entrée de ffmpeg pour ce fond
+ * @param {object} settings - Réglages du fond (voir resolveBackgroundSettings)
+ * @returns {string|null} - Image ou vidéo, null pour les fonds calculés à partir de la source
+ */
+function backgroundInputFile(settings) {
+    return INPUT_STYLES.includes(settings.style) ? settings[settings.style] : null;
+}
+
+/**
+ * Filtres qui produisent le fond [bl] aux dimensions du canevas
+ * @param {object} settings - Réglages du fond
+ * @param {object} canvas - { width, height }
+ * @param {string} input - Étiquette de l'image d'origine: "[bg]" (copie de la source) ou entrée du fichier de fond ("[1:v]")
+ * @returns {string} - "...[bl]"
+ */
+function backgroundFilter(settings, { width: W, height: H }, input) {
+    const gain = +(1 - settings.darken).toFixed(3);
+    const darken = settings.darken > 0 ? `,colorchannelmixer=rr=${gain}:gg=${gain}:bb=${gain}` : "";
+    if (settings.style === "color") {
+        return `${input}scale=${W}:${H},setsar=1,drawbox=x=0:y=0:w=iw:h=ih:color=${settings.color}:t=fill[bl]`;
+    }
+    if (settings.style === "gradient") {
+        const [from, to] = settings.gradient.map(parseColour);
+        const position = { vertical: "Y/H", horizontal: "X/W", diagonal: "(X/W+Y/H)/2" }[settings.gradientDirection];
+        const channel = i => `'${from[i]}+(${to[i] - from[i]})*${position}'`;
+        const small = size => Math.max(2, Math.round(size / GRADIENT_REDUCTION / 2) * 2);
+        return `${input}scale=${small(W)}:${small(H)},format=rgb24,geq=r=${channel(0)}:g=${channel(1)}:b=${channel(2)},scale=${W}:${H},setsar=1[bl]`;
+    }
+    if (INPUT_STYLES.includes(settings.style)) {
+        return `${input}scale=${W}:${H}:force_original_aspect_ratio=increase,crop=${W}:${H},setsar=1${darken}[bl]`;
+    }
+    // Flou: l'image est agrandie (zoom), floutée puis recadrée au canevas
+    const even = size => Math.round(size / 2) * 2;
+    const blur = settings.blur > 0 ? `,boxblur=${settings.blur}:1` : "";
+    return `${input}scale=${even(W * settings.zoom)}:${even(H * settings.zoom)}:force_original_aspect_ratio=increase${blur},crop=${W}:${H}${darken}[bl]`;
+}
+
+module.exports = {
+    BACKGROUND_STYLES,
+    DEFAULT_BACKGROUND_SETTINGS,
+    resolveBackgroundSettings,
+    parseColour,
+    backgroundInputFile,
+    backgroundFilter,
+};
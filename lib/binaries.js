@@ -0,0 +1,136 @@
+/**
+ * Localisation des binaires externes (ffmpeg, ffprobe, yt-dlp) sur toutes les plateformes.
+ *
+ * Ordre de recherche:
+ *   1. variable d'environnement (FFMPEG_PATH, YTDLP_PATH...)
+ *   2. fichier de configuration (ffmpegPath, ytDlpPath...)
+ *   3. dossier d'un binaire associé (ffprobe à côté du ffmpeg retenu)
+ *   4. dossier de l'exécutable, avec le nom propre à la plateforme (ffmpeg.exe sous Windows)
+ *   5. PATH du système
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+/**
+ * Binaires connus: variable d'environnement et clé de configuration associées
+ */
+const BINARIES = {
+    ffmpeg: { envVar: "FFMPEG_PATH", configKey: "ffmpegPath" },
+    ffprobe: { envVar: "FFPROBE_PATH", configKey: "ffprobePath" },
+    "yt-dlp": { envVar: "YTDLP_PATH", configKey: "ytDlpPath" },
+};
+
+/**
+ * Nom du fichier exécutable sur la plateforme courante
+ * @param {string} name - Nom du binaire sans extension
+ * @returns {string}
+ */
+function platformName(name) {
+    return process.platform === "win32" ? `${name}.exe` : name;
+}
+
+/**
+ * Vérifie qu'un fichier existe et est exécutable
+ * @param {string} file - Chemin à tester
+ * @returns {boolean}
+ */
+function isExecutable(file) {
+    try {
+        if (!fs.statSync(file).isFile()) return false;
+        if (process.platform !== "win32") fs.accessSync(file, fs.constants.X_OK);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Cherche un binaire dans les dossiers du PATH
+ * @param {string} name - Nom du binaire sans extension
+ * @returns {string|null}
+ */
+function findInPath(name) {
+    const dirs = (process.env.PATH || "").split(path.delimiter).filter(d => d);
+    const extensions = process.platform === "win32"
+        ? (process.env.PATHEXT || ".EXE;.CMD;.BAT").split(";").filter(e => e)
+        : [""];
+    for (const dir of dirs) {
+        for (const ext of extensions) {
+            const candidate = path.join(dir, name + ext.toLowerCase());
+            if (isExecutable(candidate)) return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Localise un binaire
+ * @param {string} name - Clé de BINARIES (ex: "ffmpeg")
+ * @param {object} options - { exeDir, config, siblingOf: binaire dont le dossier est essayé en premier }
+ * @returns {{ path: string, source: string }|null} - Chemin trouvé et origine, ou null
+ */
+function resolveBinary(name, { exeDir, config = {}, siblingOf = null }) {
+    const { envVar, configKey } = BINARIES[name];
+
+    const envValue = process.env[envVar];
+    if (envValue) {
+        // Une variable explicite qui pointe dans le vide est une erreur de configuration: on ne la masque pas
+        return isExecutable(envValue) ? { path: path.resolve(envValue), source: envVar } : null;
+    }
+
+    if (config[configKey]) {
+        const configValue = path.resolve(config[configKey]);
+        return isExecutable(configValue) ? { path: configValue, source: "configuration" } : null;
+    }
+
+    // ffmpeg et ffprobe sont distribués ensemble: on garde la même installation
+    if (siblingOf) {
+        const sibling = path.join(path.dirname(siblingOf), platformName(name));
+        if (isExecutable(sibling)) return { path: sibling, source: `à côté de ${path.basename(siblingOf)}` };
+    }
+
+    const local = path.join(exeDir, platformName(name));
+    if (isExecutable(local)) return { path: local, source: "dossier du programme" };
+
+    const fromPath = findInPath(name);
+    if (fromPath) return { path: fromPath, source: "PATH" };
+
+    return null;
+}
+
+/**
+ * Interroge ffmpeg sur sa version et les fonctionnalités utilisées par le programme
+ * @param {string} ffmpegPath - Chemin vers ffmpeg
+ * @returns {object} - { version, libx264, subtitles, ass }
+ */
+function probeFfmpegCapabilities(ffmpegPath) {
+    const run = args => {
+        const result = spawnSync(ffmpegPath, ["-hide_banner", ...args], { encoding: "utf-8", maxBuffer: 16 * 1024 * 1024 });
+        return result.error ? "" : `${result.stdout}\n${result.stderr}`;
+    };
+
+    const versionMatch = run(["-version"]).match(/ffmpeg version (\S+)/);
+    const encoders = run(["-encoders"]);
+    const filters = run(["-filters"]);
+
+    return {
+        version: versionMatch ? versionMatch[1] : "inconnue",
+        libx264: /^\s*V\S*\s+libx264\s/m.test(encoders),
+        subtitles: /^\s*\S+\s+subtitles\s/m.test(filters),
+        ass: /^\s*\S+\s+ass\s/m.test(filters),
+    };
+}
+
+/**
+ * Version de yt-dlp
+ * @param {string} ytDlpPath - Chemin vers yt-dlp
+ * @returns {string}
+ */
+function probeYtDlpVersion(ytDlpPath) {
+    const result = spawnSync(ytDlpPath, ["--version"], { encoding: "utf-8" });
+    return result.error || result.status !== 0 ? "inconnue" : result.stdout.trim();
+}
+
+module.exports = { BINARIES, platformName, findInPath, resolveBinary, probeFfmpegCapabilities, probeYtDlpVersion };
@@ -0,0 +1,192 @@
+/**
+ * Ajustement des limites de segments sur les changements de plan et les pauses.
+ * L'analyse ffmpeg (scene / silencedetect) est faite une seule fois sur la vidéo source,
+ * puis chaque début/fin de segment est déplacé vers le point de coupe le plus proche.
+ */
+
+const { spawnSync } = require("child_process");
+
+const SNAP_MODES = ["scene", "silence", "both"];
+
+// Durée minimale conservée pour un segment après ajustement
+const MIN_SEGMENT_DURATION = 1;
+
+/**
+ * Lance ffmpeg en mode analyse et retourne sa sortie d'erreur (où sont écrits les logs des filtres)
+ * @param {string} ffmpegPath - Chemin vers ffmpeg
+ * @param {string[]} args - Arguments ffmpeg
+ * @returns {string}
+ */
+function runAnalysis(ffmpegPath, args) {
+    const result = spawnSync(ffmpegPath, ["-hide_banner", "-nostats", ...args], {
+        encoding: "utf-8",
+        maxBuffer: 64 * 1024 * 1024,
+    });
+    if (result.error) throw result.error;
+    return result.stderr || "";
+}
+
+/**
+ * Détecte les changements de plan (filtre select sur le score "scene")
+ * @param {string} ffmpegPath - Chemin vers ffmpeg
+ * @param {string} videoFile - Vidéo à analyser
+ * @param {number} threshold - Seuil de détection (0-1, 0.3 par défaut)
+ * @returns {number[]} - Instants des changements de plan en secondes
+ */
+function detectSceneChanges(ffmpegPath, videoFile, threshold = 0.3) {
+    // Analyse sur une image réduite: bien plus rapide, même précision temporelle
+    const output = runAnalysis(ffmpegPath, [
+        "-i", videoFile, "-an",
+        "-vf", `scale=320:-2,select='gt(scene,${threshold})',showinfo`,
+        "-f", "null", "-",
+    ]);
+    const times = [];
+    for (const match of output.matchAll(/pts_time:\s*([\d.]+)/g)) {
+        times.push(parseFloat(match[1]));
+    }
+    return times;
+}
+
+/**
+ * Détecte les silences (filtre silencedetect)
+ * @param {string} ffmpegPath - Chemin vers ffmpeg
+ * @param {string} videoFile - Vidéo à analyser
+ * @param {string} noise - Niveau considéré comme du silence
+ * @param {number} minDuration - Durée minimale d'une pause en secondes
+ * @returns {Array} - [{ start, end }, ...] en secondes
+ */
+function detectSilences(ffmpegPath, videoFile, noise = "-30dB", minDuration = 0.3) {
+    const output = runAnalysis(ffmpegPath, [
+        "-i", videoFile, "-vn",
+        "-af", `silencedetect=noise=${noise}:d=${minDuration}`,
+        "-f", "null", "-",
+    ]);
+    const silences = [];
+    let pendingStart = null;
+    for (const line of output.split(/\r?\n/)) {
+        const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+        if (startMatch) {
+            pendingStart = Math.max(0, parseFloat(startMatch[1]));
+            continue;
+        }
+        const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+        if (endMatch && pendingStart !== null) {
+            silences.push({ start: pendingStart, end: parseFloat(endMatch[1]) });
+            pendingStart = null;
+        }
+    }
+    return silences;
+}
+
+/**
+ * Analyse la vidéo une fois et retourne les points de coupe possibles.
+ * Un changement de plan est un intervalle de longueur nulle, une pause couvre toute sa durée.
+ * @param {string} ffmpegPath - Chemin vers ffmpeg
+ * @param {string} videoFile - Vidéo source
+ * @param {string} mode - "scene", "silence" ou "both"
+ * @param {number[]|null} sceneTimes - Changements de plan déjà détectés (évite une seconde analyse)
+ * @returns {Array} - [{ start, end }, ...] triés par début
+ */
+function findCutPoints(ffmpegPath, videoFile, mode, sceneTimes = null) {
+    const cutPoints = [];
+    if (mode === "scene" || mode === "both") {
+        let scenes = sceneTimes;
+        if (!scenes) {
+            console.log("🎞️ Détection des changements de plan...");
+            scenes = detectSceneChanges(ffmpegPath, videoFile);
+            console.log(`✅ ${scenes.length} changement(s) de plan trouvé(s).`);
+        }
+        scenes.forEach(t => cutPoints.push({ start: t, end: t }));
+    }
+    if (mode === "silence" || mode === "both") {
+        console.log("🔇 Détection des pauses...");
+        const silences = detectSilences(ffmpegPath, videoFile);
+        console.log(`✅ ${silences.length} pause(s) trouvée(s).`);
+        cutPoints.push(...silences);
+    }
+    return cutPoints.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Liste les positions candidates pour une limite, de la plus proche à la plus éloignée
+ * @param {number} time - Limite d'origine
+ * @param {Array} cutPoints - Points de coupe
+ * @param {number} tolerance - Écart maximal autorisé en secondes
+ * @returns {number[]}
+ */
+function candidatesFor(time, cutPoints, tolerance) {
+    return cutPoints
+        .map(p => Math.min(Math.max(time, p.start), p.end)) // Point de l'intervalle le plus proche
+        .filter(t => Math.abs(t - time) <= tolerance)
+        .sort((a, b) => Math.abs(a - time) - Math.abs(b - time));
+}
+
+/**
+ * Déplace les limites des segments d'un clip vers les points de coupe proches
+ * @param {Array} ranges - Segments du clip [{ start, end }, ...]
+ * @param {Array} cutPoints - Points de coupe (voir findCutPoints)
+ * @param {object} options - { tolerance, minDuration, maxDuration, videoDuration }
+ * @returns {Array} - Nouveaux segments (les limites sans point proche restent inchangées)
+ */
+function snapRanges(ranges, cutPoints, options) {
+    const { tolerance, minDuration, maxDuration, videoDuration } = options;
+    const originalTotal = ranges.reduce((sum, r) => sum + (r.end - r.start), 0);
+    let total = originalTotal;
+    let previousEnd = 0;
+
+    return ranges.map((range, index) => {
+        const snapped = { ...range };
+        // La fin ne dépasse pas le début du segment suivant: son début, ajusté ensuite, ne recule pas avant cette fin
+        const nextStart = index + 1 < ranges.length ? ranges[index + 1].start : Infinity;
+        const otherTotal = total - (range.end - range.start);
+
+        // Début: ne doit pas chevaucher le segment précédent
+        for (const t of candidatesFor(range.start, cutPoints, tolerance)) {
+            const duration = range.end - t;
+            const newTotal = otherTotal + duration;
+            if (t >= previousEnd && duration >= MIN_SEGMENT_DURATION && newTotal >= minDuration && newTotal <= maxDuration) {
+                snapped.start = t;
+                break;
+            }
+        }
+
+        // Fin: reste dans la vidéo et ne chevauche pas le segment suivant
+        for (const t of candidatesFor(range.end, cutPoints, tolerance)) {
+            const duration = t - snapped.start;
+            const newTotal = otherTotal + duration;
+            if (t <= videoDuration && t <= nextStart && duration >= MIN_SEGMENT_DURATION && newTotal >= minDuration && newTotal <= maxDuration) {
+                snapped.end = t;
+                break;
+            }
+        }
+
+        snapped.start = Math.round(snapped.start * 1000) / 1000;
+        snapped.end = Math.round(snapped.end * 1000) / 1000;
+        total = otherTotal + (snapped.end - snapped.start);
+        previousEnd = snapped.end;
+        return snapped;
+    });
+}
+
+/**
+ * Applique l'ajustement à tous les clips planifiés
+ * @param {Array} clips - [{ clipNumber, ranges, label }, ...]
+ * @param {Array} cutPoints - Points de coupe (voir findCutPoints)
+ * @param {object} options - { tolerance, videoDuration }
+ * @returns {Array} - Clips avec segments ajustés; la durée totale de chaque clip reste à ± tolerance de l'original
+ */
+function snapClips(clips, cutPoints, options) {
+    const { tolerance, videoDuration } = options;
+    return clips.map(clip => {
+        const total = clip.ranges.reduce((sum, r) => sum + (r.end - r.start), 0);
+        const ranges = snapRanges(clip.ranges, cutPoints, {
+            tolerance,
+            videoDuration,
+            minDuration: total - tolerance,
+            maxDuration: total + tolerance,
+        });
+        return { ...clip, ranges };
+    });
+}
+
+module.exports = { SNAP_MODES, detectSceneChanges, detectSilences, findCutPoints, snapRanges, snapClips };
@@ -0,0 +1,81 @@
+/**
+ * Format de sortie des clips (canevas): préréglages nommés (9:16, 1:1, 4:5, 16:9, brouillon 720p)
+ * ou dimensions libres "LARGEURxHAUTEUR". Le fond flou, le recadrage, le logo et les sous-titres
+ * en dérivent.
+ */
+
+const { CliError, EXIT_CODES } = require("./cli");
+
+const CANVAS_PRESETS = {
+    "9:16": { width: 1080, height: 1920 },
+    "1:1": { width: 1080, height: 1080 },
+    "4:5": { width: 1080, height: 1350 },
+    "16:9": { width: 1920, height: 1080 },
+    // Brouillon vertical, plus rapide à encoder
+    "720p": { width: 720, height: 1280 },
+};
+
+const DEFAULT_CANVAS = "9:16";
+
+// Bornes de validation des dimensions libres
+const MIN_SIZE = 144;
+const MAX_SIZE = 4096;
+
+// Côté court et hauteur du canevas de référence: tailles des styles, marges et logo y sont exprimées
+const REFERENCE_SHORT_SIDE = 1080;
+const REFERENCE_HEIGHT = 1920;
+
+/**
+ * Résout le canevas: préréglage ou "LARGEURxHAUTEUR" (dimensions paires, exigées par l'encodeur H.264)
+ * @param {string} [value] - --canvas, sinon "canvas" du fichier de configuration, sinon "9:16"
+ * @returns {object} - { name, width, height }
+ * @throws {CliError} - Si la valeur est invalide
+ */
+function resolveCanvas(value) {
+    const name = value === undefined || value === null || value === "" ? DEFAULT_CANVAS : String(value).trim().toLowerCase();
+    if (CANVAS_PRESETS[name]) return { name, ...CANVAS_PRESETS[name] };
+
+    const match = name.match(/^(\d+)x(\d+)$/);
+    if (!match) {
+        throw new CliError(`Canevas invalide: "${value}" (préréglages: ${Object.keys(CANVAS_PRESETS).join(", ")}, ou LARGEURxHAUTEUR).`, EXIT_CODES.USAGE);
+    }
+    const width = Number(match[1]);
+    const height = Number(match[2]);
+    for (const size of [width, height]) {
+        if (size < MIN_SIZE || size > MAX_SIZE || size % 2 !== 0) {
+            throw new CliError(`Dimensions de canevas invalides: ${name} (nombres pairs entre ${MIN_SIZE} et ${MAX_SIZE}).`, EXIT_CODES.USAGE);
+        }
+    }
+    return { name, width, height };
+}
+
+/**
+ * Facteur d'échelle des tailles (police, contour, logo) par rapport au canevas 1080x1920,
+ * d'après le côté court: un clip 16:9 garde des sous-titres de même taille qu'un clip 9:16
+ * @param {object} canvas - { width, height }
+ * @returns {number}
+ */
+function canvasScale(canvas) {
+    return Math.min(canvas.width, canvas.height) / REFERENCE_SHORT_SIDE;
+}
+
+/**
+ * Facteur d'échelle des marges verticales (zones sûres) par rapport au canevas 1080x1920
+ * @param {object} canvas - { width, height }
+ * @returns {number}
+ */
+function canvasHeightScale(canvas) {
+    return canvas.height / REFERENCE_HEIGHT;
+}
+
+/**
+ * Description courte: "9:16 (1080x1920)"
+ * @param {object} canvas - { name, width, height }
+ * @returns {string}
+ */
+function describeCanvas(canvas) {
+    const size = `${canvas.width}x${canvas.height}`;
+    return canvas.name === size ? size : `${canvas.name} (${size})`;
+}
+
+module.exports = { CANVAS_PRESETS, DEFAULT_CANVAS, resolveCanvas, canvasScale, canvasHeightScale, describeCanvas };
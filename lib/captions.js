@@ -0,0 +1,180 @@
+/**
+ * Sous-titres "karaoké": les mots horodatés par Whisper sont regroupés en répliques courtes
+ * (longueur de ligne limitée, 2 lignes max) puis écrits en ASS avec une balise \k par mot,
+ * pour que chaque mot s'allume au moment où il est prononcé.
+ * Les sous-titres classiques (phrases) sont eux aussi écrits en ASS, avec le même style.
+ */
+
+const CAPTION_MODES = ["karaoke", "static"];
+
+const DEFAULT_GROUPING = {
+    maxLineChars: 28,
+    maxLines: 2,
+    // Une pause plus longue (en secondes) commence une nouvelle réplique
+    maxPause: 0.8,
+};
+
+/**
+ * Nombre de caractères tenant sur une ligne avec un style (largeur moyenne d'un caractère ≈ 0.55 × taille)
+ * @param {object} style - Style placé (voir placeSubtitles)
+ * @returns {number}
+ */
+function lineCharsFor(style) {
+    const width = style.playResX - (style.marginL || 0) - (style.marginR || 0);
+    return Math.max(10, Math.floor(width / (style.fontSize * 0.55)));
+}
+
+/**
+ * Regroupe des mots horodatés en répliques
+ * @param {Array} words - [{ text, start, end }, ...] en secondes
+ * @param {object} options - { maxLineChars, maxLines, maxPause }
+ * @returns {Array} - [{ start, end, lines: [[word, ...], ...] }, ...]
+ */
+function groupWords(words, options = {}) {
+    const { maxLineChars, maxLines, maxPause } = { ...DEFAULT_GROUPING, ...options };
+    const cues = [];
+    let current = null;
+
+    for (const word of words) {
+        if (current) {
+            const line = current.lines[current.lines.length - 1];
+            const last = line[line.length - 1];
+            const lineLength = line.reduce((sum, w) => sum + w.text.length + 1, -1);
+            const fits = lineLength + 1 + word.text.length <= maxLineChars;
+            // Fin de phrase ou pause: la réplique suivante commence avec le nouveau mot
+            if (word.start - last.end > maxPause || /[.!?…]$/.test(last.text) || (!fits && current.lines.length >= maxLines)) {
+                cues.push(current);
+                current = null;
+            } else if (!fits) {
+                current.lines.push([]);
+            }
+        }
+        if (!current) {
+            current = { start: word.start, end: word.end, lines: [[]] };
+        }
+        current.lines[current.lines.length - 1].push(word);
+        current.end = Math.max(current.end, word.end);
+    }
+    if (current) cues.push(current);
+    return cues;
+}
+
+/**
+ * Texte brut d'une réplique groupée, une ligne par ligne de la réplique (pour SRT/WebVTT)
+ * @param {object} cue - Réplique (voir groupWords)
+ * @returns {string}
+ */
+function cueText(cue) {
+    return cue.lines.map(line => line.map(word => word.text).join(" ")).join("\n");
+}
+
+/**
+ * Formate un temps en secondes au format ASS (H:MM:SS.cc)
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatAssTime(seconds) {
+    const centis = Math.max(0, Math.round(seconds * 100));
+    const h = Math.floor(centis / 360000);
+    const m = Math.floor((centis % 360000) / 6000);
+    const s = Math.floor((centis % 6000) / 100);
+    const cs = centis % 100;
+    return `${h}:${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}.${String(cs).padStart(2, "0")}`;
+}
+
+// Caractère invisible (U+2060, word joiner) inséré après chaque "\": ASS n'a pas d'échappement, "\N" ou "\h" seraient interprétés
+const ASS_BREAK = "\u2060";
+
+/**
+ * Neutralise les caractères interprétés par ASS dans un texte (balises, séquences \N \n \h, retours à la ligne)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeAssText(text) {
+    return text.replace(/\\/g, `\\${ASS_BREAK}`).replace(/\{/g, "(").replace(/\}/g, ")").replace(/\r?\n/g, " ");
+}
+
+/**
+ * Texte d'une réplique avec une balise \k (en centisecondes) devant chaque mot.
+ * La durée d'un mot va jusqu'au début du mot suivant, pour que les silences ne décalent pas la suite.
+ * @param {object} cue - Réplique (voir groupWords)
+ * @param {Function} format - Mise en forme du texte (majuscules...)
+ * @returns {string}
+ */
+function karaokeText(cue, format) {
+    const words = cue.lines.flat();
+    const offset = t => Math.round((t - cue.start) * 100);
+    let index = 0;
+    return cue.lines.map(line => line.map(word => {
+        const next = words[index + 1];
+        const duration = offset(next ? next.start : cue.end) - offset(word.start);
+        index++;
+        return `{\\k${Math.max(0, duration)}}${escapeAssText(format(word.text))}`;
+    }).join(" ")).join("\\N");
+}
+
+/**
+ * Assemble un fichier ASS avec un seul style
+ * @param {object} s - Style placé (voir placeSubtitles)
+ * @param {boolean} karaoke - PrimaryColour = mot déjà prononcé, SecondaryColour = mot à venir
+ * @param {string[]} events - Lignes "Dialogue"
+ * @returns {string}
+ */
+function buildAss(s, karaoke, events) {
+    const styleLine = [
+        "Default", s.fontName, s.fontSize,
+        karaoke ? s.highlightColour : s.primaryColour, s.primaryColour,
+        // Fond en boîte (BorderStyle=3): selon le moteur de rendu, la boîte prend la couleur de contour ou de fond
+        s.box ? s.backColour : s.outlineColour, s.backColour,
+        s.bold ? -1 : 0, 0, 0, 0, 100, 100, 0, 0,
+        s.box ? 3 : 1, s.outline, s.shadow, s.alignment, s.marginL, s.marginR, s.marginV, 1,
+    ].join(",");
+
+    return [
+        "[Script Info]",
+        "ScriptType: v4.00+",
+        `PlayResX: ${s.playResX}`,
+        `PlayResY: ${s.playResY}`,
+        // Karaoké: lignes déjà coupées, pas de retour automatique; phrases: retour équilibré
+        `WrapStyle: ${karaoke ? 2 : 0}`,
+        "ScaledBorderAndShadow: yes",
+        "",
+        "[V4+ Styles]",
+        "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+        `Style: ${styleLine}`,
+        "",
+        "[Events]",
+        "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+        ...events,
+        "",
+    ].join("\n");
+}
+
+/**
+ * Construit un fichier ASS karaoké
+ * @param {Array} cues - Répliques (voir groupWords)
+ * @param {object} style - Style placé (voir placeSubtitles)
+ * @returns {string} - Contenu du fichier .ass
+ */
+function buildKaraokeAss(cues, style) {
+    const format = text => (style.uppercase ? text.toLocaleUpperCase() : text);
+    const events = cues.map(cue =>
+        `Dialogue: 0,${formatAssTime(cue.start)},${formatAssTime(cue.end)},Default,,0,0,0,,${karaokeText(cue, format)}`);
+    return buildAss(style, true, events);
+}
+
+/**
+ * Construit un fichier ASS de sous-titres classiques (une phrase par réplique)
+ * @param {Array} cues - [{ start, end, text }, ...] en secondes
+ * @param {object} style - Style placé (voir placeSubtitles)
+ * @returns {string} - Contenu du fichier .ass
+ */
+function buildStaticAss(cues, style) {
+    const events = cues.map(cue => {
+        const lines = cue.text.split(/\r?\n/).map(line => escapeAssText(style.uppercase ? line.toLocaleUpperCase() : line));
+        return `Dialogue: 0,${formatAssTime(cue.start)},${formatAssTime(cue.end)},Default,,0,0,0,,${lines.join("\\N")}`;
+    });
+    return buildAss(style, false, events);
+}
+
+module.exports = { CAPTION_MODES, DEFAULT_GROUPING, lineCharsFor, groupWords, cueText, formatAssTime, escapeAssText, buildKaraokeAss, buildStaticAss };
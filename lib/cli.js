@@ -0,0 +1,223 @@
+/**
+ * Analyse des arguments de la ligne de commande.
+ * Permet de lancer maindl.js depuis un script ou une tâche cron sans aucune question.
+ */
+
+const { isTimecode, toSeconds, parseRanges } = require("./timecode");
+const { SIGNALS } = require("./highlights");
+const { CAPTION_MODES } = require("./captions");
+
+/**
+ * Codes de sortie du programme, pour que les scripts appelants distinguent les causes d'échec
+ */
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,          // Erreur inattendue
+    USAGE: 2,          // Arguments invalides
+    DEPENDENCY: 3,     // yt-dlp ou ffmpeg introuvable
+    DOWNLOAD: 4,       // Échec du téléchargement de la vidéo
+    INPUT: 5,          // Vidéo source absente ou illisible
+    ENCODING: 6,       // Au moins un clip n'a pas pu être généré
+    NO_CLIPS: 7,       // Aucun clip à générer (vidéo trop courte, timecodes trop serrés)
+    CANCELLED: 8,      // Génération annulée par l'utilisateur
+    BATCH_PARTIAL: 9,  // Traitement par lot: au moins une vidéo en échec
+};
+
+/**
+ * Erreur fatale portant le code de sortie à renvoyer au système
+ */
+class CliError extends Error {
+    constructor(message, exitCode = EXIT_CODES.ERROR) {
+        super(message);
+        this.name = "CliError";
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Vérifie et convertit en nombres des réglages bornés (les valeurs de la configuration peuvent être des chaînes)
+ * @param {object} settings - Réglages, modifiés sur place
+ * @param {object} ranges - { nom: [min, max], ... }
+ * @param {string} label - Nature des réglages dans le message d'erreur ("fond", "composition"...)
+ * @throws {CliError} - Si une valeur n'est pas un nombre compris entre ses bornes
+ */
+function validateRanges(settings, ranges, label) {
+    for (const [name, [min, max]] of Object.entries(ranges)) {
+        const value = Number(settings[name]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            throw new CliError(`Réglage de ${label} invalide: ${name} = ${settings[name]} (attendu entre ${min} et ${max}).`, EXIT_CODES.USAGE);
+        }
+        settings[name] = value;
+    }
+}
+
+/**
+ * Lit un timecode saisi en mode interactif, vérifié comme --start et --end
+ * @param {string} answer - Réponse de l'utilisateur
+ * @param {string} label - Timecode demandé dans le message d'erreur ("de départ", "de fin")
+ * @returns {number|null} - Secondes, ou null si la réponse est vide (valeur par défaut)
+ * @throws {CliError} - Si la réponse n'est pas un timecode valide
+ */
+function readTimecodeAnswer(answer, label) {
+    const value = String(answer).trim();
+    if (!value) return null;
+    if (!isTimecode(value)) {
+        throw new CliError(`Timecode ${label} invalide: "${value}" (attendu ss, mm:ss ou hh:mm:ss).`, EXIT_CODES.USAGE);
+    }
+    return toSeconds(value);
+}
+
+function isNumber(value) {
+    return /^\d+(\.\d+)?$/.test(value);
+}
+
+/**
+ * Options reconnues. La clé est le nom long (--nom), `key` le nom de la propriété retournée.
+ */
+const OPTIONS = {
+    "url": { key: "url", alias: "u", type: "string", valueName: "URL", description: "Lien de la vidéo à télécharger (YouTube ou tout site supporté par yt-dlp)" },
+    "input": { key: "input", alias: "i", type: "string", valueName: "SOURCE", description: "Fichier vidéo local, dossier de vidéos ou URL" },
+    "batch": { key: "batch", alias: "b", type: "string", valueName: "LISTE", description: "Fichier texte listant les URLs, fichiers ou dossiers à traiter" },
+    "max-height": { key: "maxHeight", type: "string", valueName: "PIXELS", description: "Hauteur maximale de la vidéo téléchargée (défaut 1080)", validate: value => /^\d+$/.test(value) },
+    "codec": { key: "codec", type: "string", valueName: "LISTE", description: "Codecs vidéo par ordre de préférence (défaut h264,vp9,av1)" },
+    "format": { key: "format", type: "string", valueName: "SÉLECTEUR", description: "Sélecteur de format yt-dlp brut (remplace --max-height et --codec)" },
+    "start": { key: "start", alias: "s", type: "string", valueName: "TIMECODE", description: "Timecode de départ (ex: 1:30, défaut 0:00)", validate: isTimecode },
+    "end": { key: "end", alias: "e", type: "string", valueName: "TIMECODE", description: "Timecode de fin (défaut: fin de la vidéo)", validate: isTimecode },
+    "ranges": { key: "ranges", alias: "r", type: "string", valueName: "PLAGES", description: "Plages explicites, ex: \"1:30-2:10, 5:00-5:20+5:40-6:00\"", validate: value => parseRanges(value) !== null },
+    "mode": { key: "mode", alias: "m", type: "string", valueName: "blur|crop|stack|pip|split", description: "Mode vidéo: fond flou, recadrage plein écran, empilé, incrustation ou deux intervenants (défaut blur)", choices: ["blur", "crop", "stack", "pip", "split"] },
+    "background": { key: "background", type: "string", valueName: "STYLE", description: "Mode blur: fond flou, couleur unie, dégradé, image ou vidéo en boucle (défaut blur)", choices: ["blur", "color", "gradient", "image", "video"] },
+    "background-file": { key: "backgroundFile", type: "string", valueName: "FICHIER", description: "Image ou vidéo des fonds image et video" },
+    "filler": { key: "filler", type: "string", valueName: "FICHIER|DOSSIER", description: "Modes stack et pip: vidéo de remplissage, ou dossier de vidéos utilisées à tour de rôle" },
+    "canvas": { key: "canvas", type: "string", valueName: "FORMAT", description: "Format des clips: 9:16, 1:1, 4:5, 16:9, 720p ou LARGEURxHAUTEUR (défaut 9:16)", validate: value => /^(9:16|1:1|4:5|16:9|720p|\d+x\d+)$/i.test(value.trim()) },
+    "reframe": { key: "reframe", type: "string", valueName: "center|subject", description: "Mode crop: cadre centré ou qui suit le sujet (défaut center)", choices: ["center", "subject"] },
+    "reframe-detector": { key: "reframeDetector", type: "string", valueName: "auto|person|motion", description: "Suivi du sujet: personnes détectées, mouvement, ou auto (défaut)", choices: ["auto", "person", "motion"] },
+    "length": { key: "length", alias: "l", type: "string", valueName: "DURÉE", description: "Durée des clips: 15s, 30s, 1m, 90s, 3m ou secondes (défaut 1m)" },
+    "segments": { key: "segments", type: "string", valueName: "N", description: "Nombre de segments par clip", validate: isNumber },
+    "segment-duration": { key: "segmentDuration", type: "string", valueName: "SECONDES", description: "Durée de chaque segment", validate: isNumber },
+    "gap": { key: "gap", type: "string", valueName: "SECONDES", description: "Trou sauté entre deux segments", validate: isNumber },
+    "advance": { key: "advance", type: "string", valueName: "SECONDES", description: "Avance entre le début de deux clips", validate: isNumber },
+    "snap": { key: "snap", type: "string", valueName: "scene|silence|both", description: "Caler les coupes sur les changements de plan et/ou les pauses", choices: ["scene", "silence", "both"] },
+    "snap-tolerance": { key: "snapTolerance", type: "string", valueName: "SECONDES", description: "Déplacement maximal d'une coupe (défaut 1.5)", validate: isNumber },
+    "highlights": { key: "highlights", type: "string", valueName: "N", description: "Ne générer que les N meilleurs passages", validate: value => /^[1-9]\d*$/.test(value) },
+    "signals": { key: "signals", type: "string", valueName: "LISTE", description: `Signaux du score des passages (défaut ${SIGNALS.join(",")})`, validate: value => value.split(",").every(s => SIGNALS.includes(s.trim())) },
+    "captions": { key: "captions", type: "string", valueName: "karaoke|static", description: "Sous-titres mot à mot surlignés ou phrases fixes (défaut karaoke)", choices: CAPTION_MODES },
+    "whisper-model": { key: "whisperModel", type: "string", valueName: "tiny|base|small|medium", description: "Modèle Whisper (défaut small)", choices: ["tiny", "base", "small", "medium"] },
+    "language": { key: "language", type: "string", valueName: "CODE|auto", description: "Langue parlée (en, es, fr...) ou auto pour la détecter (défaut fr)" },
+    "translate": { key: "translate", type: "boolean", description: "Sous-titres traduits en anglais par Whisper" },
+    "transcribe-once": { key: "transcribeOnce", type: "boolean", description: "Transcrire la vidéo source une seule fois (en cache) et découper les sous-titres par clip" },
+    "whisper-cache": { key: "whisperCache", type: "string", valueName: "DOSSIER", description: "Dossier des modèles Whisper (défaut models à côté du programme)" },
+    "subtitle-output": { key: "subtitleOutput", type: "string", valueName: "LISTE", description: "Sorties des sous-titres: burn, srt, vtt, ass, mux ou none (défaut burn)", validate: value => value.split(",").every(o => ["burn", "srt", "vtt", "ass", "mux", "none"].includes(o.trim())) },
+    "subtitle-style": { key: "subtitleStyle", type: "string", valueName: "NOM", description: "Style des sous-titres: classic, bold, boxed, minimal ou style du fichier de config" },
+    "hook": { key: "hook", type: "string", valueName: "TEXTE", description: "Accroche incrustée au début de chaque clip ({n}, {total}, {title})" },
+    "hook-duration": { key: "hookDuration", type: "string", valueName: "SECONDES", description: "Durée d'affichage de l'accroche (défaut 3)", validate: isNumber },
+    "part-badge": { key: "partBadge", type: "boolean", description: "Incruster le badge \"Part N/M\" (numéro du clip sur le nombre de clips)" },
+    "credit": { key: "credit", type: "string", valueName: "TEXTE", description: "Ligne de crédit incrustée pendant tout le clip (ex: \"Source: {title}\")" },
+    "jobs": { key: "jobs", alias: "j", type: "string", valueName: "N", description: "Nombre d'encodages ffmpeg simultanés (défaut 1)", validate: value => /^[1-9]\d*$/.test(value) },
+    "verbose": { key: "verbose", alias: "v", type: "boolean", description: "Afficher les logs bruts de ffmpeg au lieu de la progression" },
+    "dry-run": { key: "dryRun", type: "boolean", description: "Simulation: analyser et planifier, afficher les commandes ffmpeg sans rien encoder" },
+    "plan-file": { key: "planFile", type: "string", valueName: "FICHIER", description: "Écrire le plan de la simulation en script shell ou en JSON (.json), implique --dry-run" },
+    "restart": { key: "restart", type: "boolean", description: "Ignorer le manifeste d'un traitement précédent et recréer tous les clips" },
+    "yes": { key: "yes", alias: "y", type: "boolean", description: "Mode non interactif: aucune question, valeurs par défaut" },
+    "keep-source": { key: "keepSource", type: "boolean", description: "Conserver la vidéo téléchargée à la fin" },
+    "output-dir": { key: "outputDir", alias: "o", type: "string", valueName: "DOSSIER", description: "Dossier de sortie des clips" },
+    "config": { key: "config", alias: "c", type: "string", valueName: "FICHIER", description: "Fichier de configuration (défaut maindl.config.json)" },
+    "help": { key: "help", alias: "h", type: "boolean", description: "Afficher cette aide" },
+};
+
+/**
+ * Analyse les arguments de la ligne de commande
+ * @param {string[]} argv - Arguments (sans "node" ni le nom du script)
+ * @returns {object} - Options lues, indexées par leur `key`
+ * @throws {CliError} - Si un argument est inconnu ou invalide
+ */
+function parseArgs(argv) {
+    const aliases = {};
+    for (const [name, spec] of Object.entries(OPTIONS)) {
+        if (spec.alias) aliases[spec.alias] = name;
+    }
+
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        let name;
+        let inlineValue;
+
+        if (arg.startsWith("--")) {
+            const eqIndex = arg.indexOf("=");
+            name = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+            if (eqIndex !== -1) inlineValue = arg.slice(eqIndex + 1);
+        } else if (arg.startsWith("-") && arg.length === 2) {
+            name = aliases[arg[1]];
+        }
+
+        const spec = name && OPTIONS[name];
+        if (!spec) {
+            throw new CliError(`Argument inconnu: ${arg}`, EXIT_CODES.USAGE);
+        }
+
+        if (spec.type === "boolean") {
+            if (inlineValue !== undefined) {
+                throw new CliError(`L'option --${name} ne prend pas de valeur.`, EXIT_CODES.USAGE);
+            }
+            options[spec.key] = true;
+            continue;
+        }
+
+        let value = inlineValue;
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined || (value.startsWith("-") && value.length > 1)) {
+                throw new CliError(`L'option --${name} attend une valeur (${spec.valueName}).`, EXIT_CODES.USAGE);
+            }
+        }
+        if (spec.choices && !spec.choices.includes(value)) {
+            throw new CliError(`Valeur invalide pour --${name}: "${value}" (attendu: ${spec.choices.join(", ")}).`, EXIT_CODES.USAGE);
+        }
+        if (spec.validate && !spec.validate(value)) {
+            throw new CliError(`Valeur invalide pour --${name}: "${value}".`, EXIT_CODES.USAGE);
+        }
+        options[spec.key] = value;
+    }
+
+    if ([options.url, options.input, options.batch].filter(v => v).length > 1) {
+        throw new CliError("Les options --url, --input et --batch sont incompatibles.", EXIT_CODES.USAGE);
+    }
+    if (options.ranges && (options.start || options.end)) {
+        throw new CliError("L'option --ranges est incompatible avec --start et --end.", EXIT_CODES.USAGE);
+    }
+
+    return options;
+}
+
+/**
+ * Construit le texte d'aide à partir de la table des options
+ * @returns {string}
+ */
+function helpText() {
+    const lines = Object.entries(OPTIONS).map(([name, spec]) => {
+        const flag = `${spec.alias ? `-${spec.alias}, ` : "    "}--${name}${spec.valueName ? ` <${spec.valueName}>` : ""}`;
+        return `  ${flag.padEnd(34)} ${spec.description}`;
+    });
+
+    const codes = Object.entries(EXIT_CODES).map(([label, code]) => `  ${String(code).padStart(3)}  ${label}`);
+
+    return [
+        "Usage: maindl [options]",
+        "",
+        "Découpe une vidéo YouTube (ou locale) en clips verticaux.",
+        "Sans option, le programme pose ses questions de façon interactive.",
+        "",
+        "Options:",
+        ...lines,
+        "",
+        "Codes de sortie:",
+        ...codes,
+        "",
+        "Exemples:",
+        "  maindl --url https://youtu.be/xxxx --start 1:30 --end 12:00 --mode crop --yes",
+        "  maindl --input podcast.mp4 --length 30s --yes",
+        "  maindl --batch videos.txt --output-dir clips --yes",
+    ].join("\n");
+}
+
+module.exports = { EXIT_CODES, CliError, validateRanges, readTimecodeAnswer, OPTIONS, parseArgs, helpText };
@@ -0,0 +1,123 @@
+/**
+ * Modes vidéo: fond flou, recadrage, et compositions sur plusieurs zones du canevas
+ * (source au-dessus d'une vidéo de remplissage, incrustation, deux cadrages de la source empilés).
+ * Les vidéos de remplissage (fichier ou dossier) tournent en boucle sous la source.
+ */
+
+const { CliError, EXIT_CODES, validateRanges } = require("./cli");
+const { resolveSources } = require("./sources");
+
+// blur: fond flou; crop: recadrage plein écran; stack: source en haut, remplissage en bas;
+// pip: source recadrée, remplissage en incrustation; split: deux cadrages de la source (deux intervenants) empilés
+const VIDEO_MODES = ["blur", "crop", "stack", "pip", "split"];
+
+// Modes qui utilisent une vidéo de remplissage
+const FILLER_MODES = ["stack", "pip"];
+// Modes dont le cadre plein canevas peut suivre le sujet (--reframe subject)
+const TRACKING_MODES = ["crop", "pip"];
+
+const PIP_POSITIONS = ["hg", "hd", "bg", "bd"];
+
+const DEFAULT_COMPOSITION_SETTINGS = {
+    // Fichier ou dossier de vidéos de remplissage (stack, pip)
+    filler: null,
+    // Part de la hauteur du canevas occupée par la zone du haut (stack, split)
+    stackRatio: 0.5,
+    // Largeur de l'incrustation en fraction du canevas, coin (hg, hd, bg, bd) et marge en pixels (pip)
+    pipSize: 0.35,
+    pipPosition: "hd",
+    pipMargin: 40,
+    // Centres horizontaux des deux cadrages dans la source, en fraction de sa largeur (split)
+    splitCenters: [0.25, 0.75],
+    // Grossissement des deux cadrages (1: le plus grand cadre possible)
+    splitZoom: 1,
+};
+
+/**
+ * Résout les réglages des compositions: configuration ("composition"), puis --filler
+ * @param {object} [config] - Section "composition" du fichier de configuration
+ * @param {object} [options] - { filler }
+ * @returns {object} - Réglages validés
+ * @throws {CliError} - Si un réglage est invalide
+ */
+function resolveCompositionSettings(config = {}, options = {}) {
+    const settings = { ...DEFAULT_COMPOSITION_SETTINGS, ...config };
+    if (options.filler !== undefined) settings.filler = options.filler;
+
+    const ranges = {
+        stackRatio: [0.2, 0.8],
+        pipSize: [0.1, 0.8],
+        pipMargin: [0, 500],
+        splitZoom: [1, 4],
+    };
+    validateRanges(settings, ranges, "composition");
+    if (!PIP_POSITIONS.includes(settings.pipPosition)) {
+        throw new CliError(`Position d'incrustation invalide: ${settings.pipPosition} (attendu: ${PIP_POSITIONS.join(", ")}).`, EXIT_CODES.USAGE);
+    }
+    const centers = settings.splitCenters;
+    if (!Array.isArray(centers) || centers.length !== 2 || !centers.every(x => Number.isFinite(Number(x)) && x >= 0 && x <= 1)) {
+        throw new CliError(`Réglage de composition invalide: splitCenters = ${JSON.stringify(centers)} (deux nombres entre 0 et 1).`, EXIT_CODES.USAGE);
+    }
+    settings.splitCenters = centers.map(Number);
+    return settings;
+}
+
+/**
+ * Liste les vidéos de remplissage
+ * @param {string} filler - Fichier vidéo local ou dossier de vidéos
+ * @returns {string[]} - Chemins absolus, triés
+ * @throws {CliError} - Si le chemin est une URL, est introuvable ou ne contient aucune vidéo
+ */
+function listFillers(filler) {
+    const sources = resolveSources(filler);
+    if (sources.some(source => source.kind !== "file")) {
+        throw new CliError(`La vidéo de remplissage doit être un fichier ou un dossier local: ${filler}`, EXIT_CODES.USAGE);
+    }
+    return sources.map(source => source.location);
+}
+
+/**
+ * Vidéo de remplissage d'un clip: les vidéos du dossier sont utilisées à tour de rôle
+ * @param {string[]} fillers - Vidéos de remplissage (voir listFillers)
+ * @param {number} clipNumber - Numéro du clip (à partir de 1)
+ * @returns {string}
+ */
+function pickFiller(fillers, clipNumber) {
+    return fillers[(clipNumber - 1) % fillers.length];
+}
+
+/**
+ * Hauteurs des zones du haut et du bas (paires, leur somme fait la hauteur du canevas)
+ * @param {object} canvas - { width, height }
+ * @param {number} ratio - Part de la zone du haut
+ * @returns {object} - { top, bottom }
+ */
+function stackHeights(canvas, ratio) {
+    const top = Math.round((canvas.height * ratio) / 2) * 2;
+    return { top, bottom: canvas.height - top };
+}
+
+/**
+ * Filtre crop du plus grand cadre au format width:height (divisé par zoom) centré horizontalement sur center
+ * @param {number} center - Centre horizontal dans l'image, en fraction de sa largeur
+ * @param {object} size - { width, height } de la zone à remplir
+ * @param {number} [zoom] - Grossissement (1: cadre le plus grand possible)
+ * @param {boolean} [mirror] - Image retournée (hflip appliqué avant le recadrage)
+ * @returns {string}
+ */
+function regionCrop(center, { width, height }, zoom = 1, mirror = false) {
+    const x = +(mirror ? 1 - center : center).toFixed(4);
+    return `crop='min(iw,ih*${width}/${height})/${zoom}':'ow*${height}/${width}':'clip(${x}*iw-ow/2,0,iw-ow)':(ih-oh)/2`;
+}
+
+module.exports = {
+    VIDEO_MODES,
+    FILLER_MODES,
+    TRACKING_MODES,
+    DEFAULT_COMPOSITION_SETTINGS,
+    resolveCompositionSettings,
+    listFillers,
+    pickFiller,
+    stackHeights,
+    regionCrop,
+};
@@ -0,0 +1,38 @@
+/**
+ * Fichier de configuration optionnel (maindl.config.json à côté de l'exécutable, ou --config).
+ * Permet de fixer les chemins des binaires et des réglages par défaut sans les repasser à chaque lancement.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { CliError, EXIT_CODES } = require("./cli");
+
+const CONFIG_FILE_NAME = "maindl.config.json";
+
+/**
+ * Charge la configuration
+ * @param {string} exeDir - Dossier de l'exécutable (emplacement par défaut du fichier)
+ * @param {string} [explicitPath] - Chemin passé par --config (doit exister)
+ * @returns {object} - Configuration lue, objet vide si aucun fichier
+ * @throws {CliError} - Si le fichier demandé est absent ou n'est pas du JSON valide
+ */
+function loadConfig(exeDir, explicitPath) {
+    const configPath = explicitPath ? path.resolve(explicitPath) : path.join(exeDir, CONFIG_FILE_NAME);
+
+    if (!fs.existsSync(configPath)) {
+        if (explicitPath) {
+            throw new CliError(`Fichier de configuration introuvable: ${configPath}`, EXIT_CODES.USAGE);
+        }
+        return {};
+    }
+
+    try {
+        const config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+        console.log(`⚙️ Configuration chargée: ${configPath}`);
+        return config;
+    } catch (err) {
+        throw new CliError(`Configuration invalide (${configPath}): ${err.message}`, EXIT_CODES.USAGE);
+    }
+}
+
+module.exports = { CONFIG_FILE_NAME, loadConfig };
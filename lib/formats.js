@@ -0,0 +1,122 @@
+/**
+ * Politique de qualité de téléchargement: construit un sélecteur de format yt-dlp
+ * (chaîne de repli) à partir d'une hauteur maximale et d'un ordre de préférence des codecs,
+ * au lieu de codes de format fixes qui changent d'une vidéo à l'autre.
+ */
+
+const { CliError, EXIT_CODES } = require("./cli");
+
+// Expressions yt-dlp reconnaissant chaque codec vidéo (les noms varient selon les sites)
+const VIDEO_CODECS = {
+    h264: "^(avc1|h264)",
+    vp9: "^(vp0?9)",
+    av1: "^(av0?1)",
+};
+
+const DEFAULT_FORMAT_POLICY = {
+    maxHeight: 1080,
+    codecs: ["h264", "vp9", "av1"],
+};
+
+/**
+ * Construit la politique de format à partir de la configuration puis des options de la ligne de commande
+ * @param {object} config - Section "format" du fichier de configuration ({ maxHeight, codecs, selector })
+ * @param {object} options - { maxHeight, codec, format } issus de la ligne de commande
+ * @returns {object} - { maxHeight, codecs, selector }
+ * @throws {CliError} - Si un codec est inconnu ou la hauteur invalide
+ */
+function resolveFormatPolicy(config = {}, options = {}) {
+    const policy = { ...DEFAULT_FORMAT_POLICY, ...config };
+    if (options.maxHeight !== undefined) policy.maxHeight = Number(options.maxHeight);
+    if (options.codec !== undefined) policy.codecs = options.codec.split(",").map(c => c.trim().toLowerCase());
+    if (options.format !== undefined) policy.selector = options.format;
+
+    if (!Number.isInteger(policy.maxHeight) || policy.maxHeight < 144) {
+        throw new CliError(`Hauteur maximale invalide: ${policy.maxHeight}.`, EXIT_CODES.USAGE);
+    }
+    for (const codec of policy.codecs) {
+        if (!VIDEO_CODECS[codec]) {
+            throw new CliError(`Codec inconnu: "${codec}" (attendu: ${Object.keys(VIDEO_CODECS).join(", ")}).`, EXIT_CODES.USAGE);
+        }
+    }
+    return policy;
+}
+
+/**
+ * Construit la chaîne de repli yt-dlp.
+ * Ex: bv*[height<=1080][vcodec~='^(avc1|h264)']+ba/bv*[height<=1080]+ba/b[height<=1080]/b
+ * @param {object} policy - Politique (voir resolveFormatPolicy)
+ * @returns {string}
+ */
+function buildFormatSelector(policy) {
+    if (policy.selector) return policy.selector;
+
+    const height = `[height<=${policy.maxHeight}]`;
+    const chain = policy.codecs.map(codec => `bv*${height}[vcodec~='${VIDEO_CODECS[codec]}']+ba`);
+    // Replis: n'importe quel codec sous la hauteur max, puis format unique, puis le meilleur disponible
+    chain.push(`bv*${height}+ba`, `b${height}`, "b");
+    return chain.join("/");
+}
+
+/**
+ * Modèle --print de yt-dlp décrivant le format réellement téléchargé
+ */
+const FORMAT_PRINT_TEMPLATE = "after_move:%(format_id)s|%(width)s|%(height)s|%(fps)s|%(vcodec)s|%(acodec)s";
+
+/**
+ * Lit la ligne produite par FORMAT_PRINT_TEMPLATE
+ * @param {string} output - Sortie standard de yt-dlp
+ * @returns {object|null} - { formatId, width, height, fps, vcodec, acodec }
+ */
+function parseChosenFormat(output) {
+    const line = output.trim().split(/\r?\n/).reverse().find(l => l.split("|").length === 6);
+    if (!line) return null;
+    const [formatId, width, height, fps, vcodec, acodec] = line.split("|");
+    const toNumber = value => (value === "NA" ? null : Number(value));
+    return { formatId, width: toNumber(width), height: toNumber(height), fps: toNumber(fps), vcodec, acodec };
+}
+
+/**
+ * Modèle --print de yt-dlp décrivant le format qui serait téléchargé (simulation, sans téléchargement)
+ */
+const REMOTE_MEDIA_TEMPLATE = "%(duration)s|%(width)s|%(height)s|%(fps)s|%(vcodec)s|%(acodec)s|%(asr)s";
+
+/**
+ * Lit la ligne produite par REMOTE_MEDIA_TEMPLATE, sous la forme des caractéristiques de probeMedia (lib/probe.js)
+ * @param {string} output - Sortie standard de yt-dlp
+ * @returns {object|null} - { duration, width, height, rotation, displayWidth, displayHeight, frameRate,
+ *   videoCodec, hasAudio, sampleRate, channels, audioCodec }
+ */
+function parseRemoteMedia(output) {
+    const line = output.trim().split(/\r?\n/).reverse().find(l => l.split("|").length === 7);
+    if (!line) return null;
+    const [duration, width, height, fps, vcodec, acodec, asr] = line.split("|");
+    const toNumber = value => (value === "NA" || value === "none" ? null : Number(value));
+    const hasAudio = acodec !== "none";
+    return {
+        duration: toNumber(duration) || 0,
+        width: toNumber(width),
+        height: toNumber(height),
+        // yt-dlp annonce les dimensions affichées
+        rotation: 0,
+        displayWidth: toNumber(width),
+        displayHeight: toNumber(height),
+        frameRate: toNumber(fps),
+        videoCodec: vcodec,
+        hasAudio,
+        sampleRate: hasAudio ? toNumber(asr) : null,
+        channels: null,
+        audioCodec: hasAudio ? acodec : null,
+    };
+}
+
+module.exports = {
+    VIDEO_CODECS,
+    DEFAULT_FORMAT_POLICY,
+    resolveFormatPolicy,
+    buildFormatSelector,
+    FORMAT_PRINT_TEMPLATE,
+    parseChosenFormat,
+    REMOTE_MEDIA_TEMPLATE,
+    parseRemoteMedia,
+};
@@ -0,0 +1,173 @@
+/**
+ * Détection des meilleurs passages: chaque clip candidat reçoit un score
+ * calculé à partir de signaux locaux (volume sonore, densité de parole, rythme des plans),
+ * puis seuls les N meilleurs clips sans chevauchement sont conservés.
+ */
+
+const { spawnSync } = require("child_process");
+
+const SIGNALS = ["loudness", "speech", "scenes"];
+
+// Poids de chaque signal dans le score final
+const SIGNAL_WEIGHTS = {
+    loudness: 0.4,
+    speech: 0.3,
+    scenes: 0.3,
+};
+
+// En dessous de ce niveau (LUFS), le son est considéré comme du silence
+const LOUDNESS_FLOOR = -70;
+
+/**
+ * Mesure le volume sonore momentané (filtre ebur128, une mesure toutes les 100ms)
+ * @param {string} ffmpegPath - Chemin vers ffmpeg
+ * @param {string} videoFile - Vidéo à analyser
+ * @returns {Array} - [{ t, loudness }, ...] avec loudness en LUFS
+ */
+function measureLoudness(ffmpegPath, videoFile) {
+    const result = spawnSync(ffmpegPath, [
+        "-hide_banner", "-nostats",
+        "-i", videoFile, "-vn",
+        "-af", "ebur128=framelog=info",
+        "-f", "null", "-",
+    ], { encoding: "utf-8", maxBuffer: 256 * 1024 * 1024 });
+    if (result.error) throw result.error;
+
+    const samples = [];
+    for (const match of (result.stderr || "").matchAll(/t:\s*([\d.]+)\s+TARGET:.*?M:\s*(-?[\d.]+)/g)) {
+        samples.push({ t: parseFloat(match[1]), loudness: Math.max(LOUDNESS_FLOOR, parseFloat(match[2])) });
+    }
+    return samples;
+}
+
+/**
+ * Durée de recouvrement entre deux intervalles
+ */
+function overlap(aStart, aEnd, bStart, bEnd) {
+    return Math.max(0, Math.min(aEnd, bEnd) - Math.max(aStart, bStart));
+}
+
+/**
+ * Score de volume: moyenne des 10% de mesures les plus fortes (les pics) du clip
+ */
+function loudnessScore(ranges, samples) {
+    const values = samples
+        .filter(s => ranges.some(r => s.t >= r.start && s.t < r.end))
+        .map(s => s.loudness)
+        .sort((a, b) => b - a);
+    if (values.length === 0) return LOUDNESS_FLOOR;
+    const peaks = values.slice(0, Math.max(1, Math.ceil(values.length / 10)));
+    return peaks.reduce((sum, v) => sum + v, 0) / peaks.length;
+}
+
+/**
+ * Score de parole: mots prononcés par seconde (au prorata du recouvrement de chaque réplique)
+ */
+function speechScore(ranges, cues) {
+    let words = 0;
+    let duration = 0;
+    for (const r of ranges) {
+        duration += r.end - r.start;
+        for (const cue of cues) {
+            const cueDuration = cue.end - cue.start;
+            if (cueDuration <= 0) continue;
+            const shared = overlap(r.start, r.end, cue.start, cue.end);
+            if (shared > 0) {
+                words += cue.text.split(/\s+/).filter(w => w).length * (shared / cueDuration);
+            }
+        }
+    }
+    return duration > 0 ? words / duration : 0;
+}
+
+/**
+ * Score de rythme: changements de plan par minute
+ */
+function scenesScore(ranges, sceneTimes) {
+    let count = 0;
+    let duration = 0;
+    for (const r of ranges) {
+        duration += r.end - r.start;
+        count += sceneTimes.filter(t => t >= r.start && t < r.end).length;
+    }
+    return duration > 0 ? count * 60 / duration : 0;
+}
+
+/**
+ * Ramène une liste de valeurs entre 0 et 1
+ */
+function normalize(values) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    if (max - min < 1e-9) return values.map(() => 0.5);
+    return values.map(v => (v - min) / (max - min));
+}
+
+/**
+ * Calcule le score de chaque clip candidat
+ * @param {Array} clips - [{ clipNumber, ranges, label }, ...]
+ * @param {object} signals - { loudness: [...], speech: [...cues], scenes: [...times] } (signaux absents ignorés)
+ * @returns {Array} - Clips enrichis de `score` (0-1) et `signals` (valeurs brutes par signal)
+ */
+function scoreClips(clips, signals) {
+    const scorers = {
+        loudness: ranges => loudnessScore(ranges, signals.loudness),
+        speech: ranges => speechScore(ranges, signals.speech),
+        scenes: ranges => scenesScore(ranges, signals.scenes),
+    };
+    const active = SIGNALS.filter(name => signals[name]);
+    const totalWeight = active.reduce((sum, name) => sum + SIGNAL_WEIGHTS[name], 0);
+
+    const raw = {};
+    const normalized = {};
+    for (const name of active) {
+        raw[name] = clips.map(clip => scorers[name](clip.ranges));
+        normalized[name] = normalize(raw[name]);
+    }
+
+    return clips.map((clip, index) => {
+        const clipSignals = {};
+        let score = 0;
+        for (const name of active) {
+            clipSignals[name] = raw[name][index];
+            score += normalized[name][index] * SIGNAL_WEIGHTS[name];
+        }
+        return { ...clip, score: totalWeight > 0 ? score / totalWeight : 0, signals: clipSignals };
+    });
+}
+
+/**
+ * Garde les N meilleurs clips dont les plages source ne se chevauchent pas.
+ * Les clips retenus sont renumérotés par ordre de score (clip 1 = meilleur passage).
+ * @param {Array} scoredClips - Clips avec `score` (voir scoreClips)
+ * @param {number} count - Nombre de clips à conserver
+ * @returns {Array}
+ */
+function selectTopClips(scoredClips, count) {
+    const span = clip => ({ start: clip.ranges[0].start, end: clip.ranges[clip.ranges.length - 1].end });
+    const selected = [];
+
+    for (const clip of [...scoredClips].sort((a, b) => b.score - a.score)) {
+        if (selected.length >= count) break;
+        const s = span(clip);
+        if (selected.some(other => overlap(s.start, s.end, span(other).start, span(other).end) > 0)) continue;
+        selected.push(clip);
+    }
+
+    return selected.map((clip, index) => ({ ...clip, clipNumber: index + 1 }));
+}
+
+/**
+ * Formate les valeurs brutes des signaux pour le récapitulatif
+ * @param {object} signals - Valeurs brutes (voir scoreClips)
+ * @returns {string}
+ */
+function describeSignals(signals) {
+    const parts = [];
+    if (signals.loudness !== undefined) parts.push(`${signals.loudness.toFixed(1)} LUFS`);
+    if (signals.speech !== undefined) parts.push(`${signals.speech.toFixed(1)} mots/s`);
+    if (signals.scenes !== undefined) parts.push(`${signals.scenes.toFixed(1)} plans/min`);
+    return parts.join(", ");
+}
+
+module.exports = { SIGNALS, SIGNAL_WEIGHTS, measureLoudness, scoreClips, selectTopClips, describeSignals };
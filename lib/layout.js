@@ -0,0 +1,178 @@
+/**
+ * Moteur de découpage: calcule la structure des clips (nombre de segments,
+ * durée des segments, trous entre segments, avance entre clips).
+ *
+ * Structure d'un clip: segment + trou + segment + trou + ... + segment.
+ * Les trous sont sautés dans la vidéo source, le clip final ne contient que les segments.
+ */
+
+const { CliError, EXIT_CODES } = require("./cli");
+const { formatTime } = require("./timecode");
+
+/**
+ * Formats prédéfinis, indexés par la durée cible du clip final.
+ * "1m" correspond au découpage historique: 3 segments de 21s séparés de 3s.
+ */
+const LAYOUT_PRESETS = {
+    "15s": { segmentCount: 1, segmentDuration: 15, gapDuration: 0 },
+    "30s": { segmentCount: 2, segmentDuration: 15, gapDuration: 3 },
+    "1m": { segmentCount: 3, segmentDuration: 21, gapDuration: 3 },
+    "90s": { segmentCount: 3, segmentDuration: 30, gapDuration: 3 },
+    "3m": { segmentCount: 6, segmentDuration: 30, gapDuration: 3 },
+};
+
+const DEFAULT_LAYOUT = "1m";
+
+// Bornes de validation
+const MAX_SEGMENTS = 20;
+const MIN_CLIP_DURATION = 5;
+const MAX_CLIP_DURATION = 600;
+
+/**
+ * Convertit une durée de clip ("45", "45s", "2m", "1m30") en secondes
+ * @param {string} value - Durée saisie
+ * @returns {number} - Secondes, ou NaN si la valeur est illisible
+ */
+function parseClipLength(value) {
+    const match = String(value).trim().toLowerCase().match(/^(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s?)?$/);
+    if (!match || (match[1] === undefined && match[2] === undefined)) return NaN;
+    return Number(match[1] || 0) * 60 + Number(match[2] || 0);
+}
+
+/**
+ * Construit le découpage à partir des options (preset + surcharges)
+ * @param {object} options - { length, segments, segmentDuration, gap, advance } (chaînes ou nombres)
+ * @returns {object} - Découpage validé
+ * @throws {CliError} - Si les paramètres sont incohérents
+ */
+function resolveLayout(options = {}) {
+    const lengthLabel = options.length !== undefined ? String(options.length).trim().toLowerCase() : DEFAULT_LAYOUT;
+    const preset = LAYOUT_PRESETS[lengthLabel];
+
+    let targetLength;
+    let segmentCount;
+    let segmentDuration;
+    let gapDuration;
+
+    if (preset) {
+        ({ segmentCount, segmentDuration, gapDuration } = preset);
+        targetLength = segmentCount * segmentDuration;
+    } else {
+        targetLength = parseClipLength(lengthLabel);
+        if (!Number.isFinite(targetLength) || targetLength <= 0) {
+            throw new CliError(`Durée de clip invalide: "${options.length}" (ex: 15s, 30s, 1m, 90s, 3m ou un nombre de secondes).`, EXIT_CODES.USAGE);
+        }
+        // Les clips courts restent d'un seul tenant, les autres sont découpés en 3 segments
+        segmentCount = targetLength <= 20 ? 1 : 3;
+        segmentDuration = targetLength / segmentCount;
+        gapDuration = segmentCount > 1 ? 3 : 0;
+    }
+
+    if (options.segments !== undefined) {
+        segmentCount = Number(options.segments);
+        segmentDuration = targetLength / segmentCount;
+    }
+    if (options.segmentDuration !== undefined) segmentDuration = Number(options.segmentDuration);
+    if (options.gap !== undefined) gapDuration = Number(options.gap);
+
+    // Par défaut on avance de la durée utile du clip (les trous ne sont pas rattrapés)
+    const clipDuration = segmentCount * segmentDuration;
+    const clipAdvance = options.advance !== undefined ? Number(options.advance) : clipDuration;
+
+    const layout = {
+        label: preset && options.segments === undefined && options.segmentDuration === undefined
+            ? lengthLabel
+            : `${Math.round(clipDuration)}s`,
+        segmentCount,
+        segmentDuration,
+        gapDuration,
+        clipAdvance,
+        clipDuration,
+        sourceSpan: clipDuration + gapDuration * (segmentCount - 1),
+    };
+
+    validateLayout(layout);
+    return layout;
+}
+
+/**
+ * Vérifie la cohérence d'un découpage
+ * @param {object} layout - Découpage à vérifier
+ * @throws {CliError}
+ */
+function validateLayout(layout) {
+    const { segmentCount, segmentDuration, gapDuration, clipAdvance, clipDuration } = layout;
+
+    if (!Number.isInteger(segmentCount) || segmentCount < 1 || segmentCount > MAX_SEGMENTS) {
+        throw new CliError(`Nombre de segments invalide: ${segmentCount} (entre 1 et ${MAX_SEGMENTS}).`, EXIT_CODES.USAGE);
+    }
+    if (!Number.isFinite(segmentDuration) || segmentDuration <= 0) {
+        throw new CliError(`Durée de segment invalide: ${segmentDuration}.`, EXIT_CODES.USAGE);
+    }
+    if (!Number.isFinite(gapDuration) || gapDuration < 0) {
+        throw new CliError(`Durée de trou invalide: ${gapDuration}.`, EXIT_CODES.USAGE);
+    }
+    if (!Number.isFinite(clipAdvance) || clipAdvance <= 0) {
+        throw new CliError(`Avance entre clips invalide: ${clipAdvance}.`, EXIT_CODES.USAGE);
+    }
+    if (clipDuration < MIN_CLIP_DURATION || clipDuration > MAX_CLIP_DURATION) {
+        throw new CliError(`Durée de clip hors limites: ${clipDuration}s (entre ${MIN_CLIP_DURATION}s et ${MAX_CLIP_DURATION}s).`, EXIT_CODES.USAGE);
+    }
+}
+
+/**
+ * Planifie tous les clips entre deux positions de la vidéo source
+ * @param {object} layout - Découpage (voir resolveLayout)
+ * @param {number} start - Position de départ en secondes
+ * @param {number} end - Position de fin en secondes
+ * @returns {Array} - [{ clipNumber, ranges: [{ start, end }, ...], label }, ...]
+ */
+function planClips(layout, start, end) {
+    const { segmentCount, segmentDuration, gapDuration, clipAdvance } = layout;
+    const clips = [];
+    let currentPosition = start;
+
+    // Le dernier segment du clip ne doit pas dépasser la fin
+    while (currentPosition + layout.sourceSpan <= end) {
+        const ranges = [];
+        for (let i = 0; i < segmentCount; i++) {
+            const segStart = currentPosition + (segmentDuration + gapDuration) * i;
+            ranges.push({ start: segStart, end: segStart + segmentDuration });
+        }
+        clips.push({ clipNumber: clips.length + 1, ranges, label: layout.label });
+        currentPosition += clipAdvance;
+    }
+
+    return clips;
+}
+
+/**
+ * Construit les clips à partir de plages explicites (voir parseRanges)
+ * @param {Array} rangeGroups - [[{ start, end }, ...], ...] un groupe de plages par clip
+ * @param {number} videoDuration - Durée de la vidéo source, pour la validation
+ * @returns {Array} - [{ clipNumber, ranges, label }, ...]
+ * @throws {CliError} - Si une plage dépasse la fin de la vidéo
+ */
+function planClipsFromRanges(rangeGroups, videoDuration) {
+    return rangeGroups.map((ranges, index) => {
+        for (const range of ranges) {
+            if (range.end > videoDuration) {
+                throw new CliError(`La plage ${formatTime(range.start)}-${formatTime(range.end)} dépasse la durée de la vidéo (${formatTime(videoDuration)}).`, EXIT_CODES.USAGE);
+            }
+        }
+        const total = ranges.reduce((sum, r) => sum + (r.end - r.start), 0);
+        return { clipNumber: index + 1, ranges, label: `${Math.round(total)}s` };
+    });
+}
+
+/**
+ * Décrit un découpage en une ligne lisible
+ * @param {object} layout
+ * @returns {string}
+ */
+function describeLayout(layout) {
+    const gap = layout.segmentCount > 1 ? ` séparés de ${layout.gapDuration}s` : "";
+    return `${layout.segmentCount} segment(s) de ${layout.segmentDuration}s${gap} = clip de ${layout.clipDuration}s, avance de ${layout.clipAdvance}s`;
+}
+
+module.exports = { LAYOUT_PRESETS, DEFAULT_LAYOUT, parseClipLength, resolveLayout, validateLayout, planClips, planClipsFromRanges, describeLayout };
@@ -0,0 +1,116 @@
+/**
+ * Manifeste de travail (manifest.json dans le dossier de sortie): plan des clips, réglages et état de chaque clip.
+ * Permet de reprendre un traitement interrompu sans recréer les clips déjà terminés.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_FILE = "manifest.json";
+const MANIFEST_VERSION = 1;
+
+/**
+ * Lit le manifeste d'un dossier de sortie
+ * @param {string} outputDir - Dossier de sortie
+ * @returns {object|null} - Manifeste, ou null s'il est absent ou illisible
+ */
+function loadManifest(outputDir) {
+    const file = path.join(outputDir, MANIFEST_FILE);
+    if (!fs.existsSync(file)) return null;
+    try {
+        const manifest = JSON.parse(fs.readFileSync(file, "utf-8"));
+        if (manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.clips)) return null;
+        return manifest;
+    } catch {
+        console.warn(`⚠️ Manifeste illisible ignoré: ${file}`);
+        return null;
+    }
+}
+
+/**
+ * Enregistre le manifeste (écriture dans un fichier temporaire puis renommage: jamais de fichier à moitié écrit)
+ * @param {string} outputDir - Dossier de sortie
+ * @param {object} manifest
+ */
+function saveManifest(outputDir, manifest) {
+    const file = path.join(outputDir, MANIFEST_FILE);
+    manifest.updatedAt = new Date().toISOString();
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(manifest, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Crée le manifeste d'un nouveau traitement, tous les clips en attente
+ * @param {object} source - Source traitée ({ location, url, title })
+ * @param {object} settings - Réglages qui déterminent le plan (voir isSameJob)
+ * @param {Array} clips - Plan [{ clipNumber, ranges, label, ... }, ...]
+ * @returns {object}
+ */
+function createManifest(source, settings, clips) {
+    const now = new Date().toISOString();
+    return {
+        version: MANIFEST_VERSION,
+        source: { location: source.location, url: source.url, title: source.title },
+        settings,
+        createdAt: now,
+        updatedAt: now,
+        clips: clips.map(clip => ({
+            ...clip,
+            file: `clip_${clip.clipNumber}_${clip.label}.mp4`,
+            status: "pending",
+        })),
+    };
+}
+
+/**
+ * Indique si un manifeste décrit le même traitement (même source, mêmes réglages)
+ * @param {object} manifest
+ * @param {object} source
+ * @param {object} settings
+ * @returns {boolean}
+ */
+function isSameJob(manifest, source, settings) {
+    return manifest.source.location === source.location &&
+        JSON.stringify(manifest.settings) === JSON.stringify(settings);
+}
+
+/**
+ * Vérifie les clips marqués terminés: un fichier absent ou de taille différente repasse en attente
+ * @param {object} manifest
+ * @param {string} outputDir - Dossier de sortie
+ * @returns {Array} - Clips restant à créer
+ */
+function pendingClips(manifest, outputDir) {
+    for (const clip of manifest.clips) {
+        if (clip.status !== "done") continue;
+        const file = path.join(outputDir, clip.file);
+        if (!fs.existsSync(file) || fs.statSync(file).size !== clip.size) {
+            console.warn(`⚠️ Clip #${clip.clipNumber}: fichier absent ou modifié, il sera recréé.`);
+            clip.status = "pending";
+        }
+    }
+    return manifest.clips.filter(clip => clip.status !== "done");
+}
+
+/**
+ * Met à jour l'état d'un clip après sa création
+ * @param {object} manifest
+ * @param {string} outputDir - Dossier de sortie
+ * @param {number} clipNumber
+ * @param {string|null} error - Message d'erreur, null si le clip est créé
+ */
+function markClip(manifest, outputDir, clipNumber, error = null) {
+    const clip = manifest.clips.find(c => c.clipNumber === clipNumber);
+    if (error) {
+        clip.status = "failed";
+        clip.error = error;
+        delete clip.size;
+    } else {
+        clip.status = "done";
+        clip.size = fs.statSync(path.join(outputDir, clip.file)).size;
+        delete clip.error;
+    }
+    clip.updatedAt = new Date().toISOString();
+}
+
+module.exports = { MANIFEST_FILE, loadManifest, saveManifest, createManifest, isSameJob, pendingClips, markClip };
@@ -0,0 +1,170 @@
+/**
+ * Textes incrustés par drawtext: accroche au début du clip, badge "Part N/M" et ligne de crédit (source, chaîne).
+ *
+ * Le texte passe par un fichier (textfile=, expansion=none) plutôt que par l'option text=: il serait sinon
+ * échappé trois fois (option drawtext, graphe de filtres, shell, différent sous Windows). Seul le chemin du
+ * fichier est échappé, comme celui des sous-titres; le texte de l'utilisateur arrive tel quel.
+ */
+
+const path = require("path");
+const { CliError, EXIT_CODES } = require("./cli");
+const { canvasScale } = require("./canvas");
+
+const OVERLAY_NAMES = ["hook", "part", "credit"];
+const OVERLAY_POSITIONS = ["top-left", "top", "top-right", "center", "bottom-left", "bottom", "bottom-right"];
+
+// Tailles et marges en pixels d'un clip 1080x1920, mises à l'échelle du canevas
+const DEFAULT_OVERLAY_STYLE = {
+    fontName: "Arial",
+    // Fichier de police (.ttf, .otf): prioritaire sur fontName, qui passe par fontconfig
+    fontFile: null,
+    fontSize: 56,
+    fontColour: "#FFFFFF",
+    borderWidth: 3,
+    borderColour: "#000000",
+    box: false,
+    boxColour: "#00000099",
+    boxPadding: 16,
+    position: "top",
+    margin: 60,
+};
+
+const DEFAULT_OVERLAY_SETTINGS = {
+    // Accroche: affichée pendant les premières secondes du clip
+    hook: { text: "", duration: 3, fontSize: 72, box: true, position: "top", margin: 300 },
+    // Badge du numéro de partie: {n} numéro du clip, {total} nombre de clips
+    part: { enabled: false, text: "Part {n}/{total}", fontSize: 44, box: true, position: "top-right" },
+    // Crédit: {title} titre de la vidéo source
+    credit: { text: "", fontSize: 36, borderWidth: 2, position: "bottom", margin: 120 },
+};
+
+/**
+ * Résout les textes incrustés: configuration ("overlays", un style commun "style" et un bloc par texte),
+ * puis --hook, --hook-duration, --part-badge et --credit
+ * @param {object} [config] - Section "overlays" du fichier de configuration
+ * @param {object} [options] - { hook, hookDuration, partBadge, credit }
+ * @param {string} [exeDir] - Dossier de l'exécutable (fichiers de police relatifs)
+ * @returns {object} - { hook, part, credit }, chacun avec son style complet
+ * @throws {CliError} - Si un réglage est invalide
+ */
+function resolveOverlaySettings(config = {}, options = {}, exeDir = process.cwd()) {
+    const { style: common = {}, ...blocks } = config;
+    const settings = {};
+    for (const name of OVERLAY_NAMES) {
+        settings[name] = { ...DEFAULT_OVERLAY_STYLE, ...DEFAULT_OVERLAY_SETTINGS[name], ...common, ...blocks[name] };
+        if (settings[name].fontFile) settings[name].fontFile = path.resolve(exeDir, settings[name].fontFile);
+    }
+    if (options.hook !== undefined) settings.hook.text = options.hook;
+    if (options.hookDuration !== undefined) settings.hook.duration = options.hookDuration;
+    if (options.partBadge) settings.part.enabled = true;
+    if (options.credit !== undefined) settings.credit.text = options.credit;
+
+    for (const name of OVERLAY_NAMES) {
+        const overlay = settings[name];
+        if (!OVERLAY_POSITIONS.includes(overlay.position)) {
+            throw new CliError(`Position invalide (texte ${name}): ${overlay.position} (attendu: ${OVERLAY_POSITIONS.join(", ")}).`, EXIT_CODES.USAGE);
+        }
+        for (const key of ["fontColour", "borderColour", "boxColour"]) {
+            if (!/^#[0-9A-F]{6}([0-9A-F]{2})?$/i.test(String(overlay[key]))) {
+                throw new CliError(`Couleur invalide pour ${key} (texte ${name}): ${overlay[key]} (attendu "#RRGGBB" ou "#RRGGBBAA").`, EXIT_CODES.USAGE);
+            }
+        }
+        for (const key of ["fontSize", "borderWidth", "boxPadding", "margin"]) {
+            const value = Number(overlay[key]);
+            if (!Number.isFinite(value) || value < 0 || (key === "fontSize" && value === 0)) {
+                throw new CliError(`Réglage invalide pour ${key} (texte ${name}): ${overlay[key]}.`, EXIT_CODES.USAGE);
+            }
+            overlay[key] = value;
+        }
+    }
+    const duration = Number(settings.hook.duration);
+    if (!(duration > 0)) {
+        throw new CliError(`Durée d'accroche invalide: ${settings.hook.duration}.`, EXIT_CODES.USAGE);
+    }
+    settings.hook.duration = duration;
+    return settings;
+}
+
+/**
+ * Textes à incruster dans un clip, variables remplacées
+ * @param {object} settings - Réglages (voir resolveOverlaySettings)
+ * @param {object} values - { clipNumber, clipCount, title }
+ * @returns {Array} - [{ name, text, style }, ...] (textes vides ou désactivés exclus)
+ */
+function clipOverlays(settings, { clipNumber, clipCount, title = "" }) {
+    const fill = text => String(text)
+        .replace(/\{n\}/g, String(clipNumber))
+        .replace(/\{total\}/g, String(clipCount))
+        .replace(/\{title\}/g, title)
+        .replace(/\r\n?/g, "\n")
+        .trim();
+    return OVERLAY_NAMES
+        .filter(name => name !== "part" || settings.part.enabled)
+        .map(name => ({ name, text: fill(settings[name].text), style: settings[name] }))
+        .filter(overlay => overlay.text);
+}
+
+/**
+ * Un des textes utilise-t-il le titre de la vidéo source ({title}) ?
+ * @param {object} settings - Réglages (voir resolveOverlaySettings)
+ * @returns {boolean}
+ */
+function usesSourceTitle(settings) {
+    return OVERLAY_NAMES.some(name => String(settings[name].text).includes("{title}"));
+}
+
+/**
+ * Échappe un chemin de fichier (ou un nom de police) pour une option de filtre entre apostrophes,
+ * comme le fichier des sous-titres incrustés: séparateurs Windows, ":" du lecteur.
+ * Apostrophe: \'\'' (le "\" reste dans la chaîne et l'échappe pour l'option, la chaîne est fermée,
+ * l'apostrophe ajoutée, la chaîne rouverte); rien n'y est transformé par le shell entre guillemets doubles.
+ * @param {string} file
+ * @returns {string}
+ */
+function escapeFilterPath(file) {
+    return file.replace(/\\/g, "/").replace(/:/g, "\\:").replace(/'/g, "\\'\\''");
+}
+
+/**
+ * Filtre drawtext d'un texte
+ * @param {object} style - Style du texte (voir DEFAULT_OVERLAY_STYLE)
+ * @param {string} textFile - Fichier contenant le texte (UTF-8)
+ * @param {object} canvas - { width, height } du clip
+ * @param {number|null} [until] - Le texte disparaît après ce temps (secondes depuis le début du segment)
+ * @returns {string}
+ */
+function drawtextFilter(style, textFile, canvas, until = null) {
+    const scale = canvasScale(canvas);
+    const size = value => Math.round(value * scale);
+    const margin = size(style.margin);
+    const [vertical, horizontal = "center"] = style.position === "center" ? ["center"] : style.position.split("-");
+    const x = { left: `${margin}`, center: "(w-text_w)/2", right: `w-text_w-${margin}` }[horizontal];
+    const y = { top: `${margin}`, center: "(h-text_h)/2", bottom: `h-text_h-${margin}` }[vertical];
+    const font = style.fontFile ? `fontfile='${escapeFilterPath(style.fontFile)}'` : `font='${escapeFilterPath(style.fontName)}'`;
+
+    const options = [
+        font,
+        `textfile='${escapeFilterPath(textFile)}'`,
+        "expansion=none",
+        `fontsize=${size(style.fontSize)}`,
+        `fontcolor=${style.fontColour}`,
+        `x=${x}`,
+        `y=${y}`,
+    ];
+    if (style.borderWidth > 0) options.push(`borderw=${size(style.borderWidth)}`, `bordercolor=${style.borderColour}`);
+    if (style.box) options.push("box=1", `boxcolor=${style.boxColour}`, `boxborderw=${size(style.boxPadding)}`);
+    if (until !== null) options.push(`enable='lt(t,${+until.toFixed(3)})'`);
+    return `drawtext=${options.join(":")}`;
+}
+
+module.exports = {
+    OVERLAY_NAMES,
+    OVERLAY_POSITIONS,
+    DEFAULT_OVERLAY_STYLE,
+    DEFAULT_OVERLAY_SETTINGS,
+    resolveOverlaySettings,
+    clipOverlays,
+    usesSourceTitle,
+    escapeFilterPath,
+    drawtextFilter,
+};
@@ -0,0 +1,104 @@
+/**
+ * Plan d'une simulation (--dry-run): commandes de téléchargement et ffmpeg, listes de concaténation,
+ * textes incrustés et fichiers de sortie de chaque clip, affichés ou écrits en script shell ou en JSON (--plan-file).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { formatTime } = require("./timecode");
+
+/**
+ * Affiche le plan d'une vidéo
+ * @param {object} plan - { source, outputDir, download, media, clips } (voir processVideo)
+ * @param {object} [log] - Sortie des messages
+ */
+function printPlan(plan, log = console) {
+    log.log(`\n📂 Dossier de sortie: ${plan.outputDir}`);
+    if (plan.download) {
+        log.log(`\n⬇️ Téléchargement → ${plan.download.file}`);
+        log.log(`   ${plan.download.command}`);
+    }
+    for (const clip of plan.clips) {
+        log.log(`\n🎬 Clip #${clip.clipNumber} → ${clip.file}`);
+        for (const text of clip.texts || []) {
+            log.log(`   🔤 ${text.file}: ${JSON.stringify(text.content)}`);
+        }
+        clip.segments.forEach((segment, i) => {
+            log.log(`   🔄 Segment ${i + 1}/${clip.segments.length} (${formatRange(segment)}) → ${segment.file}`);
+            log.log(`      ${segment.command}`);
+        });
+        log.log(`   📄 ${clip.concatList.file}`);
+        clip.concatList.content.split("\n").forEach(line => log.log(`      ${line}`));
+        log.log(`   🎬 ${clip.concat}`);
+        if (clip.subtitles) {
+            log.log(`   🎤 Sous-titres: ${clip.subtitles.source}`);
+            clip.subtitles.files.forEach(file => log.log(`      📝 ${file}`));
+            if (clip.subtitles.burn) log.log(`      ${clip.subtitles.burn}`);
+            if (clip.subtitles.mux) log.log(`      ${clip.subtitles.mux}`);
+        }
+    }
+}
+
+// "1:30-2:10" à partir d'un segment { start, end } en secondes
+function formatRange({ start, end }) {
+    return `${formatTime(start)}-${formatTime(end)}`;
+}
+
+/**
+ * Script shell rejouant les plans: les commandes des sous-titres sont en commentaire,
+ * la transcription Whisper et l'écriture des fichiers ASS/SRT n'étant pas des commandes.
+ * @param {Array} plans - Plans des vidéos
+ * @returns {string}
+ */
+function planToShellScript(plans) {
+    const quote = file => `"${file}"`;
+    const lines = [
+        "#!/bin/sh",
+        `# Plan généré par maindl --dry-run le ${new Date().toISOString()}`,
+        "set -e",
+    ];
+    for (const plan of plans) {
+        lines.push("", `# ===== ${plan.source}`, `mkdir -p ${quote(plan.outputDir)}`);
+        if (plan.download) lines.push(plan.download.command);
+        for (const clip of plan.clips) {
+            lines.push("", `# Clip #${clip.clipNumber}: ${clip.segments.map(formatRange).join(" | ")}`);
+            // Textes incrustés: écrits tels quels (printf, sans retour à la ligne final)
+            const texts = clip.texts || [];
+            lines.push(...texts.map(text => `printf '%s' ${shellQuote(text.content)} > ${quote(text.file)}`));
+            lines.push(...clip.segments.map(segment => segment.command));
+            lines.push(`cat > ${quote(clip.concatList.file)} <<'EOF'`, clip.concatList.content, "EOF");
+            lines.push(clip.concat);
+            lines.push(`rm -f ${[...clip.segments.map(segment => segment.file), ...texts.map(text => text.file), clip.concatList.file].map(quote).join(" ")}`);
+            if (clip.subtitles) {
+                lines.push(`# Sous-titres (${clip.subtitles.source}): ${clip.subtitles.files.join(", ")}`);
+                if (clip.subtitles.burn) lines.push(`# ${clip.subtitles.burn}`);
+                if (clip.subtitles.mux) lines.push(`# ${clip.subtitles.mux}`);
+            }
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+// Chaîne entre apostrophes pour le shell, apostrophes comprises
+function shellQuote(text) {
+    return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Enregistre les plans: JSON si le fichier finit par .json, script shell sinon
+ * @param {string} file - Fichier de sortie
+ * @param {Array} plans - Plans des vidéos
+ * @returns {string} - Chemin absolu du fichier écrit
+ */
+function writePlan(file, plans) {
+    const target = path.resolve(file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    if (path.extname(target).toLowerCase() === ".json") {
+        fs.writeFileSync(target, JSON.stringify({ createdAt: new Date().toISOString(), videos: plans }, null, 2));
+    } else {
+        fs.writeFileSync(target, planToShellScript(plans), { mode: 0o755 });
+    }
+    return target;
+}
+
+module.exports = { printPlan, planToShellScript, writePlan };
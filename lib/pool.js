@@ -0,0 +1,91 @@
+/**
+ * Exécution parallèle des commandes ffmpeg: lancement asynchrone (spawn), file de tâches
+ * limitée à N exécutions simultanées, résultats rendus dans l'ordre des tâches.
+ */
+
+const { spawn } = require("child_process");
+
+// Nombre de lignes d'erreur ffmpeg conservées pour expliquer un échec en mode silencieux
+const STDERR_TAIL_LINES = 5;
+
+/**
+ * Lance une commande shell sans bloquer le programme
+ * @param {string} command - Commande complète (chemins déjà entre guillemets)
+ * @param {object} options - { quiet: sortie masquée, seule la fin des erreurs est gardée;
+ *   onProgress: reçoit chaque morceau de la sortie standard (ffmpeg lancé avec -progress pipe:1) }
+ * @returns {Promise<void>} - Rejetée si la commande échoue
+ */
+function runCommand(command, { quiet = false, onProgress = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const piped = quiet || onProgress;
+        const child = spawn(command, {
+            shell: true,
+            stdio: piped ? ["ignore", onProgress ? "pipe" : "ignore", "pipe"] : "inherit",
+            windowsHide: true,
+        });
+
+        if (onProgress) {
+            child.stdout.setEncoding("utf-8");
+            child.stdout.on("data", onProgress);
+        }
+
+        let stderr = "";
+        if (child.stderr) {
+            child.stderr.setEncoding("utf-8");
+            // Seule la fin intéresse: on évite d'accumuler tout le journal d'un long encodage
+            child.stderr.on("data", chunk => { stderr = (stderr + chunk).slice(-8192); });
+        }
+
+        child.on("error", reject);
+        child.on("close", code => {
+            if (code === 0) return resolve();
+            const tail = stderr.trim().split(/\r?\n/).slice(-STDERR_TAIL_LINES).join("\n");
+            reject(new Error(`code de sortie ${code}${tail ? `\n${tail}` : ""}`));
+        });
+    });
+}
+
+/**
+ * Exécute des tâches avec au plus `concurrency` tâches en cours
+ * @param {Function[]} tasks - Fonctions retournant une promesse
+ * @param {number} concurrency - Nombre maximal de tâches simultanées
+ * @param {Function} [onSettled] - Appelée à la fin de chaque tâche: (result, index, doneCount)
+ * @returns {Promise<Array>} - [{ ok, value, error }, ...] dans l'ordre des tâches
+ */
+async function runPool(tasks, concurrency, onSettled = () => {}) {
+    const results = new Array(tasks.length);
+    let next = 0;
+    let done = 0;
+
+    const worker = async () => {
+        while (next < tasks.length) {
+            const index = next++;
+            try {
+                results[index] = { ok: true, value: await tasks[index]() };
+            } catch (error) {
+                results[index] = { ok: false, error };
+            }
+            done++;
+            onSettled(results[index], index, done);
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, tasks.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+}
+
+/**
+ * File d'exécution une par une, pour les étapes qui ne supportent pas le parallélisme (Whisper)
+ * @returns {Function} - (fn) => promesse du résultat de fn, lancée après les précédentes
+ */
+function createSerialQueue() {
+    let last = Promise.resolve();
+    return fn => {
+        const run = last.then(fn);
+        last = run.catch(() => {});
+        return run;
+    };
+}
+
+module.exports = { runCommand, runPool, createSerialQueue };
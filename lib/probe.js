@@ -0,0 +1,104 @@
+/**
+ * Analyse des fichiers vidéo avec ffprobe (sortie JSON): durée exacte, dimensions, rotation,
+ * cadence d'images et piste audio. Remplace la lecture de "Duration:" dans les logs de ffmpeg.
+ */
+
+const { spawnSync } = require("child_process");
+const { CliError, EXIT_CODES } = require("./cli");
+
+/**
+ * Convertit une cadence ffprobe ("30000/1001", "25/1") en images par seconde
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseFrameRate(value) {
+    const [num, den] = String(value || "").split("/").map(Number);
+    if (!num || !den) return null;
+    return Math.round((num / den) * 1000) / 1000;
+}
+
+/**
+ * Rotation d'affichage d'un flux vidéo en degrés (0, 90, 180, 270)
+ * Ancien format: tag "rotate"; format actuel: matrice d'affichage dans side_data_list
+ * @param {object} stream - Flux vidéo ffprobe
+ * @returns {number}
+ */
+function streamRotation(stream) {
+    let rotation = 0;
+    if (stream.tags && stream.tags.rotate !== undefined) {
+        rotation = Number(stream.tags.rotate);
+    } else {
+        const displayMatrix = (stream.side_data_list || []).find(d => d.rotation !== undefined);
+        // La matrice indique la rotation inverse (sens anti-horaire)
+        if (displayMatrix) rotation = -Number(displayMatrix.rotation);
+    }
+    return Number.isFinite(rotation) ? ((Math.round(rotation / 90) * 90) % 360 + 360) % 360 : 0;
+}
+
+/**
+ * Analyse un fichier vidéo
+ * @param {string} ffprobePath - Chemin vers ffprobe
+ * @param {string} videoFile - Fichier à analyser
+ * @returns {object} - { duration, width, height, rotation, displayWidth, displayHeight, frameRate,
+ *   videoCodec, hasAudio, sampleRate, channels, audioCodec }
+ * @throws {CliError} - Si le fichier est illisible ou ne contient pas de vidéo
+ */
+function probeMedia(ffprobePath, videoFile) {
+    const result = spawnSync(ffprobePath, [
+        "-v", "error",
+        "-print_format", "json",
+        "-show_format", "-show_streams",
+        videoFile,
+    ], { encoding: "utf-8", maxBuffer: 16 * 1024 * 1024 });
+
+    let info;
+    try {
+        if (result.error || result.status !== 0) throw new Error((result.stderr || "").trim() || "ffprobe a échoué");
+        info = JSON.parse(result.stdout);
+    } catch (err) {
+        throw new CliError(`Vidéo illisible (${videoFile}): ${err.message}`, EXIT_CODES.INPUT);
+    }
+
+    const streams = info.streams || [];
+    // Les pochettes (attached_pic) sont des flux vidéo d'une seule image: on les ignore
+    const video = streams.find(s => s.codec_type === "video" && !(s.disposition && s.disposition.attached_pic));
+    const audio = streams.find(s => s.codec_type === "audio");
+    if (!video) {
+        throw new CliError(`Aucune piste vidéo dans ${videoFile}.`, EXIT_CODES.INPUT);
+    }
+
+    const duration = parseFloat((info.format && info.format.duration) || video.duration);
+    const rotation = streamRotation(video);
+    const sideways = rotation === 90 || rotation === 270;
+
+    return {
+        duration: Number.isFinite(duration) ? duration : 0,
+        width: video.width,
+        height: video.height,
+        rotation,
+        // Dimensions telles qu'affichées (ffmpeg applique la rotation avant les filtres)
+        displayWidth: sideways ? video.height : video.width,
+        displayHeight: sideways ? video.width : video.height,
+        frameRate: parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate),
+        videoCodec: video.codec_name,
+        hasAudio: Boolean(audio),
+        sampleRate: audio ? Number(audio.sample_rate) || null : null,
+        channels: audio ? audio.channels : null,
+        audioCodec: audio ? audio.codec_name : null,
+    };
+}
+
+/**
+ * Résumé lisible des caractéristiques d'une vidéo
+ * @param {object} media - Résultat de probeMedia
+ * @returns {string}
+ */
+function describeMedia(media) {
+    const parts = [`${media.displayWidth}x${media.displayHeight}`];
+    if (media.rotation) parts.push(`rotation ${media.rotation}°`);
+    if (media.frameRate) parts.push(`${media.frameRate} fps`);
+    parts.push(media.hasAudio ? `audio ${media.sampleRate ? `${media.sampleRate / 1000} kHz` : media.audioCodec}` : "sans audio");
+    return parts.join(", ");
+}
+
+module.exports = { probeMedia, describeMedia, parseFrameRate, streamRotation };
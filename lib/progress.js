@@ -0,0 +1,178 @@
+/**
+ * Progression des encodages: lecture de la sortie "-progress pipe:1" de ffmpeg et affichage compact
+ * (clip x/N, segment y/M, pourcentages, vitesse, temps restant) à la place des logs bruts.
+ */
+
+const { formatTime } = require("./timecode");
+
+// Arguments ffmpeg: logs réduits aux erreurs, progression machine sur la sortie standard
+const FFMPEG_PROGRESS_ARGS = "-hide_banner -loglevel error -nostats -progress pipe:1";
+
+// Intervalle minimal entre deux affichages (terminal / sortie redirigée vers un fichier)
+const TTY_REFRESH_MS = 250;
+const LOG_REFRESH_MS = 10000;
+
+/**
+ * Crée un lecteur de la sortie "-progress" (blocs clé=valeur terminés par "progress=continue|end")
+ * @param {Function} onUpdate - Appelée à chaque bloc: ({ time, speed, done })
+ * @returns {Function} - À appeler avec chaque morceau de texte reçu
+ */
+function createProgressParser(onUpdate) {
+    let pending = "";
+    let block = {};
+    return chunk => {
+        pending += chunk;
+        const lines = pending.split(/\r?\n/);
+        pending = lines.pop();
+        for (const line of lines) {
+            const separator = line.indexOf("=");
+            if (separator < 0) continue;
+            const key = line.slice(0, separator).trim();
+            const value = line.slice(separator + 1).trim();
+            if (key !== "progress") {
+                block[key] = value;
+                continue;
+            }
+            // out_time_ms est lui aussi en microsecondes (bug historique de ffmpeg)
+            const micros = Number(block.out_time_us ?? block.out_time_ms);
+            const speed = parseFloat(block.speed);
+            onUpdate({
+                time: Number.isFinite(micros) ? Math.max(0, micros / 1e6) : 0,
+                speed: Number.isFinite(speed) ? speed : null,
+                done: value === "end",
+            });
+            block = {};
+        }
+    };
+}
+
+/**
+ * Crée l'affichage de progression de la phase de création des clips
+ * @param {object} options - { enabled, clips: [{ clipNumber, work }], clipCount, stream }
+ *   work: secondes de vidéo à encoder pour le clip (base des pourcentages et du temps restant)
+ *   clipCount: nombre total de clips affiché (tous les clips du plan, même ceux déjà créés)
+ * @returns {object} - { start, update, end, skip, log, error, suspend, clear, close }
+ */
+function createProgressDisplay({ enabled = true, clips = [], clipCount = clips.length, stream = process.stdout }) {
+    const isTTY = Boolean(stream.isTTY);
+    const clipWork = new Map(clips.map(c => [c.clipNumber, c.work]));
+    const clipDone = new Map(clips.map(c => [c.clipNumber, 0]));
+    const tasks = new Map();
+    const startedAt = Date.now();
+    let lastRender = 0;
+    let lineShown = false;
+    let suspended = 0;
+
+    const totalWork = () => [...clipWork.values()].reduce((sum, w) => sum + w, 0);
+    const taskDone = task => (task.counted ? Math.min(task.time, task.duration) : 0);
+
+    const clipFraction = clipNumber => {
+        const work = clipWork.get(clipNumber);
+        if (!work) return 0;
+        let done = clipDone.get(clipNumber);
+        for (const task of tasks.values()) {
+            if (task.clipNumber === clipNumber) done += taskDone(task);
+        }
+        return Math.min(1, done / work);
+    };
+
+    const overallFraction = () => {
+        const total = totalWork();
+        if (!total) return 0;
+        let done = [...clipDone.values()].reduce((sum, d) => sum + d, 0);
+        for (const task of tasks.values()) done += taskDone(task);
+        return Math.min(1, done / total);
+    };
+
+    const clear = () => {
+        if (isTTY && lineShown) stream.write("\r\x1b[K");
+        lineShown = false;
+    };
+
+    const statusLine = () => {
+        const fraction = overallFraction();
+        const elapsed = (Date.now() - startedAt) / 1000;
+        const eta = fraction > 0.01 ? Math.round(elapsed * (1 - fraction) / fraction) : null;
+        const speeds = [...tasks.values()].map(t => t.speed).filter(s => s !== null);
+        const parts = [`⏳ ${Math.floor(fraction * 100)}%`, `ETA ${eta === null ? "?" : formatTime(eta)}`];
+        if (speeds.length > 0) parts.push(`${speeds.reduce((sum, s) => sum + s, 0).toFixed(1)}x`);
+
+        const active = [...tasks.values()].map(task => {
+            const percent = task.duration ? Math.floor(Math.min(1, task.time / task.duration) * 100) : 0;
+            return `clip ${task.clipNumber}/${clipCount} ${Math.floor(clipFraction(task.clipNumber) * 100)}% ${task.step} ${percent}%`;
+        });
+        return [parts.join(" · "), ...active].join(" │ ");
+    };
+
+    const render = (force = false) => {
+        if (!enabled || suspended > 0) return;
+        const now = Date.now();
+        if (!force && now - lastRender < (isTTY ? TTY_REFRESH_MS : LOG_REFRESH_MS)) return;
+        lastRender = now;
+        let line = statusLine();
+        if (isTTY) {
+            // Une seule ligne réécrite sur place, coupée à la largeur du terminal
+            const width = stream.columns || 120;
+            if (line.length >= width) line = line.slice(0, width - 2) + "…";
+            stream.write(`\r\x1b[K${line}`);
+            lineShown = true;
+        } else {
+            stream.write(`${line}\n`);
+        }
+    };
+
+    return {
+        /**
+         * Début d'un encodage
+         * @param {string} id - Identifiant de la tâche
+         * @param {object} task - { clipNumber, step, duration, counted } (counted: compte dans le travail du clip)
+         */
+        start(id, { clipNumber, step, duration, counted = true }) {
+            tasks.set(id, { clipNumber, step, duration, counted, time: 0, speed: null });
+            render();
+        },
+        update(id, { time, speed }) {
+            const task = tasks.get(id);
+            if (!task) return;
+            task.time = time;
+            task.speed = speed;
+            render();
+        },
+        end(id) {
+            const task = tasks.get(id);
+            if (!task) return;
+            tasks.delete(id);
+            if (task.counted) clipDone.set(task.clipNumber, clipDone.get(task.clipNumber) + task.duration);
+        },
+        // Travail prévu qui n'aura pas lieu (clip en échec, pas de sous-titres...)
+        skip(clipNumber, seconds) {
+            clipWork.set(clipNumber, Math.max(0, clipWork.get(clipNumber) - seconds));
+        },
+        log(message) {
+            clear();
+            console.log(message);
+            if (isTTY) render(true);
+        },
+        error(message) {
+            clear();
+            console.error(message);
+            if (isTTY) render(true);
+        },
+        // Exécute fn sans afficher la progression (étapes qui écrivent leurs propres messages)
+        async suspend(fn) {
+            clear();
+            suspended++;
+            try {
+                return await fn();
+            } finally {
+                suspended--;
+            }
+        },
+        clear,
+        close() {
+            clear();
+        },
+    };
+}
+
+module.exports = { FFMPEG_PROGRESS_ARGS, createProgressParser, createProgressDisplay };
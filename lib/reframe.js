@@ -0,0 +1,322 @@
+/**
+ * Recadrage qui suit le sujet (mode crop): chaque segment est analysé sur quelques images par seconde
+ * (personnes détectées par un modèle transformers.js, ou zones en mouvement à défaut), la position
+ * du sujet est lissée dans le temps, puis transformée en expression ffmpeg qui déplace le cadre (au format du canevas)
+ * image par image au lieu de le garder au centre.
+ */
+
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { CliError, EXIT_CODES, validateRanges } = require("./cli");
+const { CANVAS_PRESETS, DEFAULT_CANVAS } = require("./canvas");
+
+// center: cadre fixe au centre; subject: cadre qui suit le sujet
+const REFRAME_MODES = ["center", "subject"];
+// person: détection de personnes; motion: zones en mouvement; auto: personnes, puis mouvement si personne n'est trouvé
+const REFRAME_DETECTORS = ["auto", "person", "motion"];
+
+const DEFAULT_REFRAME_SETTINGS = {
+    mode: "center",
+    detector: "auto",
+    model: "Xenova/yolos-tiny",
+    // Relatif au dossier de l'exécutable, comme les modèles Whisper
+    cacheDir: "models",
+    offline: false,
+    // Images analysées par seconde
+    sampleRate: 2,
+    // Score minimal d'une personne détectée
+    minScore: 0.6,
+    // Constante de temps du lissage, en secondes
+    smoothing: 1,
+    // Déplacement maximal du cadre, en largeur de la source par seconde
+    maxSpeed: 0.15,
+    // Un déplacement du sujet plus petit (en largeur de la source) ne fait pas bouger le cadre
+    deadZone: 0.04,
+};
+
+// Largeur des images analysées (la hauteur suit le format de la source)
+const ANALYSIS_WIDTH = 320;
+// Écart d'intensité d'un pixel considéré comme du mouvement, et part minimale de pixels en mouvement
+const MOTION_THRESHOLD = 24;
+const MIN_MOTION_RATIO = 0.002;
+// Écart toléré entre le chemin simplifié et le chemin lissé, et nombre maximal de points de l'expression
+const PATH_TOLERANCE = 0.005;
+const MAX_PATH_POINTS = 40;
+
+/**
+ * Construit les réglages du recadrage à partir de la configuration puis des options de la ligne de commande
+ * @param {object} config - Section "reframe" du fichier de configuration
+ * @param {object} options - { reframe, reframeDetector } issus de la ligne de commande
+ * @param {string} exeDir - Dossier de l'exécutable (base d'un cacheDir relatif)
+ * @returns {object} - { mode, detector, model, cacheDir, offline, sampleRate, minScore, smoothing, maxSpeed, deadZone }
+ * @throws {CliError} - Si un réglage est invalide
+ */
+function resolveReframeSettings(config = {}, options = {}, exeDir = process.cwd()) {
+    const settings = { ...DEFAULT_REFRAME_SETTINGS, ...config };
+    if (options.reframe !== undefined) settings.mode = options.reframe;
+    if (options.reframeDetector !== undefined) settings.detector = options.reframeDetector;
+
+    if (!REFRAME_MODES.includes(settings.mode)) {
+        throw new CliError(`Recadrage inconnu: "${settings.mode}" (attendu: ${REFRAME_MODES.join(", ")}).`, EXIT_CODES.USAGE);
+    }
+    if (!REFRAME_DETECTORS.includes(settings.detector)) {
+        throw new CliError(`Détection inconnue: "${settings.detector}" (attendu: ${REFRAME_DETECTORS.join(", ")}).`, EXIT_CODES.USAGE);
+    }
+    const ranges = {
+        sampleRate: [0.1, 10],
+        minScore: [0, 1],
+        smoothing: [0, 10],
+        maxSpeed: [0.01, 10],
+        deadZone: [0, 0.5],
+    };
+    validateRanges(settings, ranges, "recadrage");
+
+    return {
+        ...settings,
+        cacheDir: path.resolve(exeDir, settings.cacheDir),
+        offline: Boolean(settings.offline),
+    };
+}
+
+/**
+ * Dimensions des images analysées pour une source
+ * @param {object} media - Caractéristiques de la source (voir lib/probe.js)
+ * @returns {object} - { width, height } (hauteur paire)
+ */
+function analysisSize(media) {
+    const height = Math.max(2, Math.round((ANALYSIS_WIDTH * media.displayHeight) / media.displayWidth / 2) * 2);
+    return { width: ANALYSIS_WIDTH, height };
+}
+
+/**
+ * Largeur du cadre (au format du canevas) en fraction de la largeur de la source
+ * @param {object} media - Caractéristiques de la source (voir lib/probe.js)
+ * @param {object} [canvas] - { width, height } du clip, 1080x1920 par défaut
+ * @returns {number}
+ */
+function cropRatioFor(media, canvas = CANVAS_PRESETS[DEFAULT_CANVAS]) {
+    return Math.min(1, (media.displayHeight * canvas.width) / canvas.height / media.displayWidth);
+}
+
+/**
+ * Extrait des images réduites d'un passage de la vidéo (RGB 24 bits brut)
+ * @param {string} ffmpegPath - Chemin vers ffmpeg
+ * @param {string} videoFile - Vidéo source
+ * @param {object} range - { start, end } en secondes
+ * @param {object} size - { width, height } (voir analysisSize)
+ * @param {number} sampleRate - Images par seconde
+ * @returns {Array} - [{ t, pixels }, ...], t relatif au début du passage
+ * @throws {Error} - Si ffmpeg échoue
+ */
+function readFrames(ffmpegPath, videoFile, { start, end }, { width, height }, sampleRate) {
+    const frameSize = width * height * 3;
+    const duration = end - start;
+    const result = spawnSync(ffmpegPath, [
+        "-hide_banner", "-nostats", "-v", "error",
+        "-ss", String(start), "-t", String(duration), "-i", videoFile, "-an",
+        "-vf", `fps=${sampleRate},scale=${width}:${height}`,
+        "-f", "rawvideo", "-pix_fmt", "rgb24", "pipe:1",
+    ], { maxBuffer: frameSize * (Math.ceil(duration * sampleRate) + 4) });
+    if (result.error) throw result.error;
+    if (result.status !== 0) throw new Error((result.stderr || "").toString().trim() || `code de sortie ${result.status}`);
+
+    const frames = [];
+    for (let offset = 0; offset + frameSize <= result.stdout.length; offset += frameSize) {
+        frames.push({ t: frames.length / sampleRate, pixels: result.stdout.subarray(offset, offset + frameSize) });
+    }
+    return frames;
+}
+
+/**
+ * Centre de la fenêtre de largeur donnée qui contient le plus d'énergie (colonnes d'une image).
+ * Entre plusieurs fenêtres équivalentes, celle du milieu: le sujet est centré dans le cadre.
+ * @param {Float64Array} columns - Énergie de chaque colonne
+ * @param {number} window - Largeur de la fenêtre, en colonnes
+ * @returns {number} - Centre de la fenêtre, en fraction de la largeur
+ */
+function bestWindowCenter(columns, window) {
+    const size = Math.max(1, Math.min(columns.length, Math.round(window)));
+    let sum = 0;
+    for (let x = 0; x < size; x++) sum += columns[x];
+    let best = sum;
+    let bestStart = 0;
+    let bestEnd = 0;
+    for (let x = size; x < columns.length; x++) {
+        sum += columns[x] - columns[x - size];
+        if (sum > best) {
+            best = sum;
+            bestStart = x - size + 1;
+            bestEnd = bestStart;
+        } else if (sum === best && bestEnd === x - size) {
+            bestEnd = x - size + 1;
+        }
+    }
+    return ((bestStart + bestEnd) / 2 + size / 2) / columns.length;
+}
+
+/**
+ * Position du sujet d'après le mouvement entre deux images successives (saillance du mouvement):
+ * le cadre se place sur la fenêtre où le plus de pixels changent.
+ * @param {Array} frames - Images (voir readFrames)
+ * @param {object} size - { width, height }
+ * @param {number} cropRatio - Largeur du cadre en fraction de la largeur de la source
+ * @returns {Array} - Centre horizontal (fraction de la largeur) pour chaque image, null sans mouvement
+ */
+function motionCenters(frames, { width, height }, cropRatio) {
+    const luma = pixels => {
+        const values = new Uint8Array(width * height);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = (pixels[i * 3] * 77 + pixels[i * 3 + 1] * 150 + pixels[i * 3 + 2] * 29) >> 8;
+        }
+        return values;
+    };
+
+    const centers = [];
+    let previous = null;
+    for (const frame of frames) {
+        const current = luma(frame.pixels);
+        let center = null;
+        if (previous) {
+            const columns = new Float64Array(width);
+            let moving = 0;
+            for (let i = 0; i < current.length; i++) {
+                const delta = Math.abs(current[i] - previous[i]);
+                if (delta > MOTION_THRESHOLD) {
+                    columns[i % width] += delta;
+                    moving++;
+                }
+            }
+            if (moving >= current.length * MIN_MOTION_RATIO) center = bestWindowCenter(columns, width * cropRatio);
+        }
+        centers.push(center);
+        previous = current;
+    }
+    return centers;
+}
+
+/**
+ * Position du sujet d'après les personnes détectées sur une image: la fenêtre du cadre
+ * qui couvre la plus grande surface de personnes (pondérée par le score)
+ * @param {Array} detections - [{ label, score, box: { xmin, ymin, xmax, ymax } }, ...] en pixels
+ * @param {number} width - Largeur de l'image analysée
+ * @param {number} cropRatio - Largeur du cadre en fraction de la largeur de la source
+ * @returns {number|null} - Centre horizontal (fraction de la largeur), null si aucune personne
+ */
+function personCenter(detections, width, cropRatio) {
+    const people = detections.filter(d => d.label === "person");
+    if (people.length === 0) return null;
+    const columns = new Float64Array(width);
+    for (const { score, box } of people) {
+        const weight = score * Math.max(0, box.ymax - box.ymin);
+        for (let x = Math.max(0, Math.floor(box.xmin)); x < Math.min(width, Math.ceil(box.xmax)); x++) {
+            columns[x] += weight;
+        }
+    }
+    return bestWindowCenter(columns, width * cropRatio);
+}
+
+/**
+ * Lisse les positions du sujet en un chemin de cadre: trous comblés par la dernière position,
+ * zone morte (le cadre ne bouge pas pour de petits déplacements), lissage exponentiel aller-retour
+ * (sans retard sur le sujet), puis vitesse limitée.
+ * @param {Array} samples - [{ t, x }, ...], x en fraction de la largeur ou null
+ * @param {object} settings - { smoothing, maxSpeed, deadZone } (voir resolveReframeSettings)
+ * @returns {Array} - [{ t, x }, ...], vide si le sujet n'a jamais été trouvé
+ */
+function smoothPath(samples, { smoothing, maxSpeed, deadZone }) {
+    const known = samples.filter(sample => sample.x !== null);
+    if (known.length === 0) return [];
+
+    let last = known[0].x;
+    let held = last;
+    const steady = samples.map(({ t, x }) => {
+        if (x !== null) last = x;
+        if (Math.abs(last - held) > deadZone) held = last;
+        return { t, x: held };
+    });
+
+    const exponential = points => {
+        let value = points[0].x;
+        return points.map((point, i) => {
+            if (i > 0) {
+                const alpha = smoothing > 0 ? 1 - Math.exp(-Math.abs(point.t - points[i - 1].t) / smoothing) : 1;
+                value += alpha * (point.x - value);
+            }
+            return { t: point.t, x: value };
+        });
+    };
+    const smoothed = exponential(exponential(steady).reverse()).reverse();
+
+    for (let i = 1; i < smoothed.length; i++) {
+        const maxStep = maxSpeed * (smoothed[i].t - smoothed[i - 1].t);
+        const step = smoothed[i].x - smoothed[i - 1].x;
+        if (Math.abs(step) > maxStep) smoothed[i].x = smoothed[i - 1].x + Math.sign(step) * maxStep;
+    }
+    return smoothed;
+}
+
+/**
+ * Réduit un chemin aux points nécessaires (Ramer-Douglas-Peucker), pour une expression ffmpeg courte
+ * @param {Array} points - [{ t, x }, ...]
+ * @param {number} [tolerance] - Écart maximal toléré, en fraction de la largeur
+ * @returns {Array}
+ */
+function simplifyPath(points, tolerance = PATH_TOLERANCE) {
+    if (points.length <= 2) return points;
+    const simplify = (from, to) => {
+        const a = points[from];
+        const b = points[to];
+        let worst = 0;
+        let worstIndex = -1;
+        for (let i = from + 1; i < to; i++) {
+            const expected = a.x + ((b.x - a.x) * (points[i].t - a.t)) / (b.t - a.t || 1);
+            const distance = Math.abs(points[i].x - expected);
+            if (distance > worst) {
+                worst = distance;
+                worstIndex = i;
+            }
+        }
+        if (worst <= tolerance) return [a];
+        return [...simplify(from, worstIndex), ...simplify(worstIndex, to)];
+    };
+    const simplified = [...simplify(0, points.length - 1), points[points.length - 1]];
+    // Chemin trop agité: tolérance relâchée plutôt qu'une expression démesurée
+    return simplified.length > MAX_PATH_POINTS ? simplifyPath(points, tolerance * 2) : simplified;
+}
+
+/**
+ * Expression ffmpeg de l'abscisse du cadre (filtre crop, évaluée à chaque image):
+ * interpolation linéaire du chemin, cadre maintenu dans l'image.
+ * @param {Array} points - Chemin [{ t, x }, ...] en secondes depuis le début du segment, x = centre en fraction de la largeur
+ * @param {object} [options] - { mirror: image retournée avant le recadrage, speed: vitesse appliquée avant le recadrage (setpts) }
+ * @returns {string} - Expression utilisant t, iw et ow
+ */
+function cropXExpression(points, { mirror = false, speed = 1 } = {}) {
+    const number = value => String(+value.toFixed(4));
+    const mapped = points.map(({ t, x }) => ({ t: t / speed, x: mirror ? 1 - x : x }));
+    let center = mapped.length > 0 ? number(mapped[mapped.length - 1].x) : "0.5";
+    // Sujet immobile: position fixe
+    const still = mapped.every(point => number(point.x) === center);
+    for (let i = still ? -1 : mapped.length - 2; i >= 0; i--) {
+        const a = mapped[i];
+        const b = mapped[i + 1];
+        const slope = (b.x - a.x) / (b.t - a.t || 1);
+        center = `if(lt(t,${number(b.t)}),${number(a.x)}+${number(slope)}*(t-${number(a.t)}),${center})`;
+    }
+    return `clip(${center}*iw-ow/2,0,iw-ow)`;
+}
+
+module.exports = {
+    REFRAME_MODES,
+    REFRAME_DETECTORS,
+    DEFAULT_REFRAME_SETTINGS,
+    resolveReframeSettings,
+    analysisSize,
+    cropRatioFor,
+    readFrames,
+    motionCenters,
+    personCenter,
+    smoothPath,
+    simplifyPath,
+    cropXExpression,
+};
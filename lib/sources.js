@@ -0,0 +1,149 @@
+/**
+ * Résolution des sources vidéo: fichier local, dossier de vidéos ou URL (tout site supporté par yt-dlp).
+ * Les fichiers locaux sont utilisés sur place, sans copie vers video_temp.mp4.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { CliError, EXIT_CODES } = require("./cli");
+
+// Extensions reconnues lors du parcours d'un dossier
+const VIDEO_EXTENSIONS = [".mp4", ".mkv", ".mov", ".webm", ".avi", ".m4v", ".flv", ".ts", ".wmv"];
+
+/**
+ * Indique si une entrée est une URL (à télécharger avec yt-dlp)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isUrl(value) {
+    return /^https?:\/\//i.test(String(value).trim());
+}
+
+/**
+ * Nom lisible d'une vidéo locale, utilisé pour nommer son dossier de sortie
+ * @param {string} file - Chemin du fichier
+ * @returns {string}
+ */
+function fileTitle(file) {
+    return path.basename(file, path.extname(file));
+}
+
+/**
+ * Source à télécharger
+ * @param {string} url - Lien de la vidéo
+ * @returns {object}
+ */
+function urlSource(url) {
+    return { kind: "url", location: url.trim(), url: url.trim(), title: null, owned: false };
+}
+
+/**
+ * Source locale. `owned`: le fichier appartient à l'utilisateur et ne doit jamais être supprimé.
+ * @param {string} file - Chemin du fichier
+ * @param {boolean} owned
+ * @returns {object}
+ */
+function fileSource(file, owned = true) {
+    return { kind: "file", location: path.resolve(file), url: null, title: fileTitle(file), owned };
+}
+
+/**
+ * Transforme une entrée utilisateur (URL, fichier ou dossier) en liste de sources
+ * @param {string} input - Entrée saisie ou passée par --input
+ * @returns {Array} - Sources [{ kind, location, url, title, owned }, ...]
+ * @throws {CliError} - Si le chemin n'existe pas ou si le dossier ne contient aucune vidéo
+ */
+function resolveSources(input) {
+    const value = String(input).trim();
+    if (!value) {
+        throw new CliError("Aucune vidéo source indiquée.", EXIT_CODES.USAGE);
+    }
+    if (isUrl(value)) {
+        return [urlSource(value)];
+    }
+
+    const resolved = path.resolve(value);
+    if (!fs.existsSync(resolved)) {
+        throw new CliError(`Fichier introuvable: ${resolved}`, EXIT_CODES.INPUT);
+    }
+
+    if (fs.statSync(resolved).isDirectory()) {
+        const files = fs.readdirSync(resolved)
+            .filter(f => VIDEO_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+            .map(f => path.join(resolved, f))
+            .filter(f => fs.statSync(f).isFile())
+            .sort();
+        if (files.length === 0) {
+            throw new CliError(`Aucune vidéo trouvée dans le dossier: ${resolved}`, EXIT_CODES.INPUT);
+        }
+        return files.map(f => fileSource(f));
+    }
+
+    return [fileSource(resolved)];
+}
+
+/**
+ * Lit une liste de sources (une URL, un fichier ou un dossier par ligne, "#" pour les commentaires).
+ * Les chemins relatifs sont résolus par rapport au dossier de la liste.
+ * @param {string} listFile - Fichier texte
+ * @returns {Array} - Sources (les lignes illisibles deviennent des sources "invalid" portant leur erreur)
+ * @throws {CliError} - Si la liste est introuvable ou vide
+ */
+function readSourceList(listFile) {
+    const resolved = path.resolve(listFile);
+    if (!fs.existsSync(resolved)) {
+        throw new CliError(`Liste introuvable: ${resolved}`, EXIT_CODES.INPUT);
+    }
+
+    const sources = [];
+    const lines = fs.readFileSync(resolved, "utf-8").split(/\r?\n/);
+    for (const line of lines) {
+        const entry = line.trim();
+        if (!entry || entry.startsWith("#")) continue;
+        try {
+            sources.push(...resolveSources(isUrl(entry) ? entry : path.resolve(path.dirname(resolved), entry)));
+        } catch (err) {
+            // Une ligne invalide ne bloque pas le lot: elle apparaîtra en échec dans le bilan
+            sources.push({ kind: "invalid", location: entry, url: null, title: null, owned: true, error: err.message });
+        }
+    }
+    if (sources.length === 0) {
+        throw new CliError(`La liste ne contient aucune source: ${resolved}`, EXIT_CODES.INPUT);
+    }
+    return sources;
+}
+
+/**
+ * Remplace une URL de playlist par les vidéos qu'elle contient (une URL de vidéo reste inchangée).
+ * Un lien de vidéo ouvert depuis une playlist (watch?v=...&list=...) reste une seule vidéo.
+ * @param {string} ytDlpPath - Chemin vers yt-dlp
+ * @param {object} source - Source de type "url"
+ * @returns {Array} - Sources
+ */
+function expandPlaylist(ytDlpPath, source) {
+    const result = spawnSync(ytDlpPath, ["--flat-playlist", "--no-playlist", "-J", "--no-warnings", source.url], {
+        encoding: "utf-8",
+        maxBuffer: 64 * 1024 * 1024,
+    });
+    if (result.error || result.status !== 0) return [source];
+
+    let info;
+    try {
+        info = JSON.parse(result.stdout);
+    } catch {
+        return [source];
+    }
+    if (info._type !== "playlist" || !Array.isArray(info.entries)) return [source];
+
+    const entries = info.entries
+        .filter(entry => entry && (entry.url || entry.id))
+        .map(entry => {
+            const url = entry.url && isUrl(entry.url) ? entry.url : `https://www.youtube.com/watch?v=${entry.id}`;
+            return { ...urlSource(url), title: entry.title || null };
+        });
+    console.log(`📃 Playlist "${info.title || source.url}": ${entries.length} vidéo(s).`);
+    return entries;
+}
+
+module.exports = { VIDEO_EXTENSIONS, isUrl, fileTitle, urlSource, fileSource, resolveSources, readSourceList, expandPlaylist };
@@ -0,0 +1,194 @@
+/**
+ * Styles des sous-titres incrustés: préréglages nommés (police, taille, couleurs, contour, fond, majuscules, position),
+ * complétables dans le fichier de configuration, et placement calculé d'après le mode vidéo
+ * (dans le fond flou sous la vidéo, ou dans la zone sûre en plein écran).
+ *
+ * Les tailles et marges sont exprimées en pixels d'un clip 1080x1920 et mises à l'échelle du canevas (voir lib/canvas.js).
+ */
+
+const { CliError, EXIT_CODES } = require("./cli");
+const { CANVAS_PRESETS, DEFAULT_CANVAS, canvasScale, canvasHeightScale } = require("./canvas");
+
+// Marges laissées libres pour l'interface des applications (boutons, légende) en plein écran
+const SAFE_MARGIN_TOP = 250;
+const SAFE_MARGIN_BOTTOM = 380;
+// Écart entre la vidéo et les sous-titres placés dans le fond flou
+const FOREGROUND_PADDING = 40;
+
+const POSITIONS = ["top", "center", "bottom"];
+
+const STYLE_PRESETS = {
+    classic: {
+        fontName: "Arial",
+        fontSize: 64,
+        primaryColour: "#FFFFFF",
+        highlightColour: "#FFFF00",
+        outlineColour: "#000000",
+        backColour: "#00000080",
+        bold: true,
+        outline: 4,
+        shadow: 1,
+        box: false,
+        uppercase: false,
+        position: "bottom",
+    },
+    bold: {
+        fontName: "Arial Black",
+        fontSize: 80,
+        primaryColour: "#FFFFFF",
+        highlightColour: "#FFD400",
+        outlineColour: "#000000",
+        backColour: "#00000080",
+        bold: true,
+        outline: 6,
+        shadow: 2,
+        box: false,
+        uppercase: true,
+        position: "center",
+    },
+    boxed: {
+        fontName: "Arial",
+        fontSize: 60,
+        primaryColour: "#FFFFFF",
+        highlightColour: "#FFFF00",
+        outlineColour: "#000000",
+        backColour: "#000000B0",
+        bold: true,
+        outline: 12,
+        shadow: 0,
+        box: true,
+        uppercase: false,
+        position: "bottom",
+    },
+    minimal: {
+        fontName: "Arial",
+        fontSize: 54,
+        primaryColour: "#FFFFFF",
+        highlightColour: "#7FDBFF",
+        outlineColour: "#000000",
+        backColour: "#00000000",
+        bold: false,
+        outline: 2,
+        shadow: 0,
+        box: false,
+        uppercase: false,
+        position: "bottom",
+    },
+};
+
+const DEFAULT_STYLE_NAME = "classic";
+
+/**
+ * Convertit une couleur "#RRGGBB" / "#RRGGBBAA" (AA = opacité) au format ASS "&HAABBGGRR" (AA = transparence).
+ * Une couleur déjà au format ASS est conservée.
+ * @param {string} value
+ * @returns {string|null} - null si la couleur est invalide
+ */
+function toAssColour(value) {
+    const text = String(value).trim();
+    if (/^&H[0-9A-F]{8}$/i.test(text)) return text.toUpperCase();
+    const match = text.match(/^#([0-9A-F]{2})([0-9A-F]{2})([0-9A-F]{2})([0-9A-F]{2})?$/i);
+    if (!match) return null;
+    const [, r, g, b, a = "FF"] = match;
+    const transparency = (255 - parseInt(a, 16)).toString(16).padStart(2, "0");
+    return `&H${transparency}${b}${g}${r}`.toUpperCase();
+}
+
+/**
+ * Retrouve un style par son nom: préréglage intégré ou style défini dans la configuration
+ * ("subtitleStyles": { "nom": { "extends": "bold", "fontName": "Montserrat" } })
+ * @param {object} config - Configuration (clés subtitleStyle et subtitleStyles)
+ * @param {string} [name] - Nom demandé (--subtitle-style), sinon config.subtitleStyle, sinon "classic"
+ * @returns {object} - Style complet, couleurs au format ASS
+ * @throws {CliError} - Si le style est inconnu ou invalide
+ */
+function resolveSubtitleStyle(config = {}, name) {
+    const custom = config.subtitleStyles || {};
+    const styleName = name || config.subtitleStyle || DEFAULT_STYLE_NAME;
+
+    const lookup = (key, seen) => {
+        if (seen.includes(key)) {
+            throw new CliError(`Style de sous-titres circulaire: ${[...seen, key].join(" → ")}.`, EXIT_CODES.USAGE);
+        }
+        if (custom[key]) {
+            const { extends: parent = DEFAULT_STYLE_NAME, ...fields } = custom[key];
+            // Un style personnalisé peut redéfinir un préréglage du même nom
+            const base = parent === key ? STYLE_PRESETS[key] : lookup(parent, [...seen, key]);
+            return { ...base, ...fields };
+        }
+        if (STYLE_PRESETS[key]) return STYLE_PRESETS[key];
+        const known = [...new Set([...Object.keys(STYLE_PRESETS), ...Object.keys(custom)])].join(", ");
+        throw new CliError(`Style de sous-titres inconnu: "${key}" (disponibles: ${known}).`, EXIT_CODES.USAGE);
+    };
+
+    const style = { name: styleName, ...lookup(styleName, []) };
+    for (const key of ["primaryColour", "highlightColour", "outlineColour", "backColour"]) {
+        const colour = toAssColour(style[key]);
+        if (!colour) {
+            throw new CliError(`Couleur invalide pour ${key} (style "${styleName}"): ${style[key]}.`, EXIT_CODES.USAGE);
+        }
+        style[key] = colour;
+    }
+    if (!POSITIONS.includes(style.position)) {
+        throw new CliError(`Position invalide (style "${styleName}"): ${style.position} (attendu: ${POSITIONS.join(", ")}).`, EXIT_CODES.USAGE);
+    }
+    if (!(Number(style.fontSize) > 0)) {
+        throw new CliError(`Taille de police invalide (style "${styleName}"): ${style.fontSize}.`, EXIT_CODES.USAGE);
+    }
+    return style;
+}
+
+/**
+ * Calcule l'alignement ASS et la marge verticale du style pour un clip
+ * @param {object} style - Style résolu
+ * @param {object} layout - { blurFill, foregroundHeight, canvas } (hauteur de la vidéo au premier plan en mode fond flou,
+ *   canevas { width, height } du clip, 1080x1920 par défaut)
+ * @returns {object} - Style mis à l'échelle du canevas, complété de { alignment, marginV, marginL, marginR, playResX, playResY }
+ */
+function placeSubtitles(style, { blurFill, foregroundHeight, canvas = CANVAS_PRESETS[DEFAULT_CANVAS] }) {
+    const scale = canvasScale(canvas);
+    const heightScale = canvasHeightScale(canvas);
+    const placed = {
+        marginL: 60,
+        marginR: 60,
+        ...style,
+        playResX: canvas.width,
+        playResY: canvas.height,
+    };
+    for (const key of ["fontSize", "outline", "shadow", "marginL", "marginR"]) {
+        placed[key] = Math.round(placed[key] * scale);
+    }
+    // Hauteur d'un bloc de 2 lignes, contour compris
+    const blockHeight = 2 * placed.fontSize * 1.2 + 2 * placed.outline;
+    const padding = Math.round(FOREGROUND_PADDING * scale);
+
+    if (blurFill && foregroundHeight < canvas.height) {
+        const band = (canvas.height - foregroundHeight) / 2;
+        // Dans le fond flou, juste au-dessus ou au-dessous de la vidéo, si la bande est assez haute
+        if (band >= blockHeight + 2 * padding) {
+            if (style.position === "bottom") {
+                return { ...placed, alignment: 8, marginV: Math.round(band + foregroundHeight + padding) };
+            }
+            if (style.position === "top") {
+                return { ...placed, alignment: 2, marginV: Math.round(band + foregroundHeight + padding) };
+            }
+        }
+    }
+
+    // Plein écran (ou bande trop étroite): dans la zone sûre de l'image
+    if (style.position === "top") return { ...placed, alignment: 8, marginV: Math.round(SAFE_MARGIN_TOP * heightScale) };
+    if (style.position === "center") return { ...placed, alignment: 5, marginV: 0 };
+    return { ...placed, alignment: 2, marginV: Math.round(SAFE_MARGIN_BOTTOM * heightScale) };
+}
+
+/**
+ * Hauteur de la vidéo au premier plan en mode fond flou (contenue dans le canevas)
+ * @param {object} media - { displayWidth, displayHeight } (voir probeMedia)
+ * @param {object} [canvas] - { width, height }, 1080x1920 par défaut
+ * @returns {number}
+ */
+function foregroundHeightFor(media, canvas = CANVAS_PRESETS[DEFAULT_CANVAS]) {
+    return Math.min(canvas.height, Math.round(canvas.width * media.displayHeight / media.displayWidth));
+}
+
+module.exports = { POSITIONS, STYLE_PRESETS, DEFAULT_STYLE_NAME, toAssColour, resolveSubtitleStyle, placeSubtitles, foregroundHeightFor };
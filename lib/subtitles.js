@@ -0,0 +1,259 @@
+/**
+ * Sous-titres SRT et WebVTT: lecture (fins de ligne CRLF, réglages de réplique VTT, horodatages sans heures,
+ * balises en ligne, doublons des sous-titres automatiques YouTube), découpe par segment et écriture.
+ * Sorties des clips: fichiers à côté du clip (SRT, WebVTT, ASS) et piste de sous-titres mov_text dans le MP4,
+ * en plus ou à la place de l'incrustation.
+ */
+
+const { CliError, EXIT_CODES } = require("./cli");
+
+// burn: incrustés dans l'image; srt/vtt/ass: fichiers à côté du clip; mux: piste de sous-titres du MP4
+const SUBTITLE_OUTPUTS = ["burn", "srt", "vtt", "ass", "mux"];
+
+// Codes ISO 639-2 attendus par le MP4 pour la langue d'une piste
+const MP4_LANGUAGES = {
+    fr: "fra", en: "eng", es: "spa", de: "deu", it: "ita", pt: "por", nl: "nld",
+    ru: "rus", ja: "jpn", zh: "zho", ko: "kor", ar: "ara", pl: "pol", tr: "tur",
+};
+
+// Horodatage SRT ou VTT: heures facultatives (VTT), virgule (SRT) ou point (VTT) avant les millisecondes
+const TIMESTAMP = String.raw`(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})`;
+const TIMING_LINE = new RegExp(`^\\s*${TIMESTAMP}\\s*-->\\s*${TIMESTAMP}(.*)$`);
+
+// Une réplique coupée par une limite de segment n'est gardée que si une part suffisante reste visible
+const MIN_VISIBLE_RATIO = 0.5;
+const MIN_VISIBLE_SECONDS = 1;
+
+// Écart maximal entre deux répliques automatiques qui se suivent (elles sont en général jointives)
+const ROLLING_GAP = 0.05;
+
+// Entités HTML courantes dans les sous-titres VTT
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", lrm: "", rlm: "" };
+
+/**
+ * Liste des sorties de sous-titres
+ * @param {string|string[]} [value] - "burn,srt" (ligne de commande) ou ["burn", "srt"] (configuration)
+ * @returns {string[]} - Sorties sans doublon, "burn" par défaut
+ * @throws {CliError} - Si une sortie est inconnue
+ */
+function resolveSubtitleOutputs(value) {
+    if (value === undefined || value === null || value === "") return ["burn"];
+    const list = (Array.isArray(value) ? value : String(value).split(","))
+        .map(item => String(item).trim().toLowerCase())
+        .filter(item => item);
+    for (const item of list) {
+        if (!SUBTITLE_OUTPUTS.includes(item) && item !== "none") {
+            throw new CliError(`Sortie de sous-titres inconnue: "${item}" (attendu: ${SUBTITLE_OUTPUTS.join(", ")}, none).`, EXIT_CODES.USAGE);
+        }
+    }
+    // "none": aucun sous-titre (ni incrusté, ni à côté du clip)
+    return [...new Set(list.filter(item => item !== "none"))];
+}
+
+/**
+ * Lit un horodatage SRT ou VTT ("01:02:03,456", "02:03.456")
+ * @param {string} text
+ * @returns {number|null} - Secondes, null si le format est invalide
+ */
+function parseTimestamp(text) {
+    const match = String(text).trim().match(new RegExp(`^${TIMESTAMP}$`));
+    return match ? timestampSeconds(match.slice(1, 5)) : null;
+}
+
+// Secondes à partir des groupes capturés par TIMESTAMP
+function timestampSeconds([h, m, s, ms]) {
+    return Number(h || 0) * 3600 + Number(m) * 60 + Number(s) + Number(ms.padEnd(3, "0")) / 1000;
+}
+
+/**
+ * Retire les balises en ligne et décode les entités. En VTT toutes les balises (<c.colorE5E5E5>, <v Orateur>,
+ * <00:00:01.000>...) sont retirées, "<" y étant échappé; en SRT seules <i>, <b>, <u>, <font> et {\an8} le sont.
+ * @param {string} text
+ * @param {boolean} [vtt] - Texte d'une réplique WebVTT
+ * @returns {string}
+ */
+function stripInlineTags(text, vtt = false) {
+    return text
+        .replace(vtt ? /<[^>]*>/g : /<\/?(i|b|u|font)\b[^>]*>/gi, "")
+        .replace(/\{\\[^}]*\}/g, "")
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] === "#") {
+                const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            const decoded = ENTITIES[name.toLowerCase()];
+            return decoded === undefined ? entity : decoded;
+        })
+        .split("\n").map(line => line.trim()).filter(line => line).join("\n");
+}
+
+/**
+ * Lit des sous-titres SRT ou WebVTT (format reconnu à l'en-tête WEBVTT)
+ * @param {string} content - Contenu du fichier
+ * @returns {Array} - [{ start, end, text, settings? }, ...] en secondes, texte sans balises, triées par début
+ */
+function parseSubtitles(content) {
+    const text = String(content).replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+    const vtt = /^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(text);
+    const cues = [];
+
+    // En VTT seule une ligne vide sépare les répliques (YouTube met des lignes d'un espace dans le texte)
+    for (const block of text.split(vtt ? /\n{2,}/ : /\n(?:[ \t]*\n)+/)) {
+        const lines = block.split("\n");
+        while (lines.length > 0 && !lines[0].trim()) lines.shift();
+        if (lines.length === 0) continue;
+        // En-tête et blocs VTT sans réplique
+        if (vtt && /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+        // Ligne de temps: première ligne, ou deuxième après un numéro (SRT) ou un identifiant (VTT)
+        const timingIndex = lines.findIndex(line => line.includes("-->"));
+        if (timingIndex < 0 || timingIndex > 1) continue;
+        const match = lines[timingIndex].match(TIMING_LINE);
+        if (!match) continue;
+
+        const start = timestampSeconds(match.slice(1, 5));
+        const end = timestampSeconds(match.slice(5, 9));
+        const cue = { start, end: Math.max(start, end), text: stripInlineTags(lines.slice(timingIndex + 1).join("\n"), vtt) };
+        // Réglages VTT (position, alignement...) conservés pour la réécriture en VTT
+        const settings = match[9].trim();
+        if (vtt && settings) cue.settings = settings;
+        cues.push(cue);
+    }
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Retire les doublons des sous-titres automatiques YouTube: chaque réplique y reprend la ligne précédente
+ * (défilement sur deux lignes) et des répliques de 10 ms répètent le texte déjà affiché.
+ * Seules les répliques jointives sont comparées: une phrase répétée plus tard est conservée.
+ * @param {Array} cues - Répliques lues (voir parseSubtitles)
+ * @returns {Array} - Répliques sans répétition, texte réduit aux lignes nouvelles
+ */
+function dedupeCues(cues) {
+    const result = [];
+    for (const cue of cues) {
+        let lines = cue.text.split("\n").filter(line => line.trim());
+        if (lines.length === 0) continue;
+        const previous = result[result.length - 1];
+        if (previous && cue.start - previous.end <= ROLLING_GAP) {
+            // Lignes du début déjà affichées à la fin de la réplique précédente
+            const shown = previous.text.split("\n");
+            let overlap = Math.min(shown.length, lines.length);
+            while (overlap > 0 && shown.slice(-overlap).join("\n") !== lines.slice(0, overlap).join("\n")) overlap--;
+            lines = lines.slice(overlap);
+            if (lines.length === 0) {
+                // Même texte: la réplique précédente reste affichée plus longtemps
+                previous.end = Math.max(previous.end, cue.end);
+                continue;
+            }
+        }
+        result.push({ ...cue, text: lines.join("\n") });
+    }
+    return result;
+}
+
+/**
+ * Découpe des répliques (ou des mots) horodatées sur la source pour un clip fait de plusieurs segments.
+ * Les temps sont ramenés au début du clip; une réplique à cheval sur une limite de segment est
+ * raccourcie à la partie visible, et abandonnée si cette partie est trop courte.
+ * @param {Array} cues - [{ start, end, ... }, ...] en secondes de la source
+ * @param {Array} segments - [{ start, end }, ...] segments du clip, dans l'ordre
+ * @returns {Array} - Répliques du clip, mêmes champs, temps relatifs au clip
+ */
+function clipCues(cues, segments) {
+    const clipped = [];
+    let offset = 0;
+    for (const segment of segments) {
+        for (const cue of cues) {
+            const start = Math.max(cue.start, segment.start);
+            const end = Math.min(cue.end, segment.end);
+            const visible = end - start;
+            const duration = cue.end - cue.start;
+            // Whisper donne parfois un mot de durée nulle: gardé s'il commence dans le segment
+            const instant = duration <= 0 && cue.start >= segment.start && cue.start < segment.end;
+            if (visible <= 0 && !instant) continue;
+            if (visible < duration && visible < MIN_VISIBLE_SECONDS && visible < duration * MIN_VISIBLE_RATIO) continue;
+            clipped.push({ ...cue, start: start - segment.start + offset, end: end - segment.start + offset });
+        }
+        offset += segment.end - segment.start;
+    }
+    return clipped;
+}
+
+/**
+ * Formate un temps en secondes en format SRT (HH:MM:SS,mmm)
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatSrtTime(seconds) {
+    // Arrondi sur le total en millisecondes: 1.9996s donne 00:00:02,000 et non 00:00:01,1000
+    const total = Math.max(0, Math.round(seconds * 1000));
+    const h = Math.floor(total / 3600000);
+    const m = Math.floor((total % 3600000) / 60000);
+    const s = Math.floor((total % 60000) / 1000);
+    const ms = total % 1000;
+    return `${h.toString().padStart(2, "0")}:${m.toString().padStart(2, "0")}:${s.toString().padStart(2, "0")},${ms.toString().padStart(3, "0")}`;
+}
+
+/**
+ * Formate un temps en secondes en format WebVTT (HH:MM:SS.mmm)
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatVttTime(seconds) {
+    return formatSrtTime(seconds).replace(",", ".");
+}
+
+/**
+ * Texte d'une réplique sans ligne vide (une ligne vide termine la réplique en SRT comme en WebVTT)
+ */
+function cueBody(text) {
+    return text.trim().replace(/\n{2,}/g, "\n");
+}
+
+/**
+ * Écrit des répliques au format SRT
+ * @param {Array} cues - [{ start, end, text }, ...] en secondes
+ * @returns {string}
+ */
+function serializeSrt(cues) {
+    return cues.map((cue, index) =>
+        `${index + 1}\n${formatSrtTime(cue.start)} --> ${formatSrtTime(cue.end)}\n${cueBody(cue.text)}\n`).join("\n");
+}
+
+/**
+ * Écrit des répliques au format WebVTT
+ * @param {Array} cues - [{ start, end, text }, ...] en secondes
+ * @returns {string}
+ */
+function serializeVtt(cues) {
+    // &, < et > introduisent des entités et des balises en VTT
+    const escape = text => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    const body = cues.map(cue =>
+        `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}${cue.settings ? ` ${cue.settings}` : ""}\n${escape(cueBody(cue.text))}\n`);
+    return ["WEBVTT\n", ...body].join("\n");
+}
+
+/**
+ * Code de langue d'une piste de sous-titres MP4
+ * @param {string} language - Code à 2 lettres ("fr") ou "auto"
+ * @returns {string} - Code ISO 639-2 ("fra"), "und" si inconnu
+ */
+function mp4Language(language) {
+    return MP4_LANGUAGES[language] || "und";
+}
+
+module.exports = {
+    SUBTITLE_OUTPUTS,
+    resolveSubtitleOutputs,
+    parseTimestamp,
+    stripInlineTags,
+    parseSubtitles,
+    dedupeCues,
+    clipCues,
+    formatSrtTime,
+    formatVttTime,
+    serializeSrt,
+    serializeVtt,
+    mp4Language,
+};
@@ -0,0 +1,73 @@
+/**
+ * Utilitaires de conversion des timecodes saisis par l'utilisateur.
+ */
+
+/**
+ * Convertit un timecode (ss, mm:ss ou hh:mm:ss) en secondes
+ * @param {string} time - Timecode saisi (ex: "1:30")
+ * @returns {number} - Nombre de secondes
+ */
+function toSeconds(time) {
+    const parts = String(time).trim().split(":").map(Number);
+    if (parts.length === 3) {
+        const [h, m, s] = parts;
+        return h * 3600 + m * 60 + s;
+    } else if (parts.length === 2) {
+        const [m, s] = parts;
+        return m * 60 + s;
+    } else {
+        return parts[0] || 0;
+    }
+}
+
+/**
+ * Vérifie qu'une chaîne est un timecode valide (ss, mm:ss ou hh:mm:ss, secondes décimales acceptées).
+ * Seul le premier champ peut dépasser 59: "90" et "90:00" sont valides, "1:75" ne l'est pas.
+ * @param {string} value - Valeur à vérifier
+ * @returns {boolean}
+ */
+function isTimecode(value) {
+    return /^\d+(:[0-5]?\d){0,2}(\.\d+)?$/.test(String(value).trim());
+}
+
+/**
+ * Lit une liste de plages saisies par l'utilisateur.
+ * Les clips sont séparés par des virgules, "+" assemble plusieurs plages dans un même clip.
+ * Ex: "1:30-2:10, 5:00-5:20+5:40-6:00" → 2 clips, le second composé de 2 segments
+ * @param {string} text - Liste de plages
+ * @returns {Array|null} - [[{ start, end }, ...], ...] en secondes, ou null si la syntaxe est invalide
+ */
+function parseRanges(text) {
+    const clips = String(text).split(",").map(c => c.trim()).filter(c => c);
+    if (clips.length === 0) return null;
+
+    const result = [];
+    for (const clip of clips) {
+        const ranges = [];
+        for (const part of clip.split("+")) {
+            const bounds = part.split("-").map(b => b.trim());
+            if (bounds.length !== 2 || !isTimecode(bounds[0]) || !isTimecode(bounds[1])) return null;
+            const start = toSeconds(bounds[0]);
+            const end = toSeconds(bounds[1]);
+            if (end <= start) return null;
+            ranges.push({ start, end });
+        }
+        result.push(ranges);
+    }
+    return result;
+}
+
+/**
+ * Formate un nombre de secondes en m:ss pour l'affichage (m:ss.d si le temps n'est pas entier)
+ * @param {number} seconds - Temps en secondes
+ * @returns {string}
+ */
+function formatTime(seconds) {
+    if (!Number.isInteger(seconds)) {
+        const tenths = Math.round(seconds * 10);
+        return `${Math.floor(tenths / 600)}:${((tenths % 600) / 10).toFixed(1).padStart(4, '0')}`;
+    }
+    return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+module.exports = { toSeconds, isTimecode, parseRanges, formatTime };
@@ -0,0 +1,76 @@
+/**
+ * Transcription unique de la source: les mots horodatés par Whisper sont mis en cache à côté de la vidéo
+ * (video.transcript.json), puis découpés pour chaque clip (clipCues, lib/subtitles.js)
+ * au lieu de retranscrire chaque clip.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const TRANSCRIPT_VERSION = 1;
+
+/**
+ * Chemin du cache de transcription d'une vidéo (video_temp.mp4 → video_temp.transcript.json)
+ * @param {string} videoFile
+ * @returns {string}
+ */
+function transcriptFile(videoFile) {
+    const ext = path.extname(videoFile);
+    return path.join(path.dirname(videoFile), `${path.basename(videoFile, ext)}.transcript.json`);
+}
+
+/**
+ * Clé du cache: une autre vidéo au même emplacement, ou d'autres réglages Whisper, invalident la transcription
+ * @param {string} videoFile
+ * @param {object} whisper - Réglages Whisper (voir lib/whisper.js)
+ * @returns {object}
+ */
+function transcriptKey(videoFile, whisper) {
+    return {
+        size: fs.statSync(videoFile).size,
+        model: whisper.model,
+        task: whisper.task,
+        language: whisper.language,
+    };
+}
+
+/**
+ * Lit la transcription en cache d'une vidéo
+ * @param {string} videoFile
+ * @param {object} whisper - Réglages Whisper demandés
+ * @returns {object|null} - { language, words: [{ text, start, end }] }, ou null si absente ou périmée
+ */
+function loadTranscript(videoFile, whisper) {
+    const file = transcriptFile(videoFile);
+    if (!fs.existsSync(file)) return null;
+    try {
+        const transcript = JSON.parse(fs.readFileSync(file, "utf-8"));
+        if (transcript.version !== TRANSCRIPT_VERSION || !Array.isArray(transcript.words)) return null;
+        if (JSON.stringify(transcript.key) !== JSON.stringify(transcriptKey(videoFile, whisper))) return null;
+        return transcript;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Enregistre la transcription d'une vidéo
+ * @param {string} videoFile
+ * @param {object} whisper - Réglages Whisper demandés (avant détection de la langue)
+ * @param {string} language - Langue de la transcription (détectée si "auto")
+ * @param {Array} words - [{ text, start, end }, ...] en secondes
+ * @returns {object} - Transcription enregistrée
+ */
+function saveTranscript(videoFile, whisper, language, words) {
+    const transcript = {
+        version: TRANSCRIPT_VERSION,
+        key: transcriptKey(videoFile, whisper),
+        language,
+        createdAt: new Date().toISOString(),
+        words,
+    };
+    fs.writeFileSync(transcriptFile(videoFile), JSON.stringify(transcript));
+    return transcript;
+}
+
+module.exports = { transcriptFile, loadTranscript, saveTranscript };
@@ -0,0 +1,121 @@
+/**
+ * Réglages de la transcription Whisper (@xenova/transformers): modèle, langue (ou détection automatique),
+ * tâche (transcription ou traduction en anglais) et dossier des modèles, pour fonctionner hors ligne
+ * une fois les modèles téléchargés.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { CliError, EXIT_CODES } = require("./cli");
+
+const WHISPER_MODELS = ["tiny", "base", "small", "medium"];
+const WHISPER_TASKS = ["transcribe", "translate"];
+
+const DEFAULT_WHISPER_SETTINGS = {
+    model: "small",
+    language: "fr",
+    task: "transcribe",
+    // Relatif au dossier de l'exécutable (le cache par défaut de transformers est dans node_modules, en lecture seule avec pkg)
+    cacheDir: "models",
+    offline: false,
+    transcribeOnce: false,
+};
+
+/**
+ * Construit les réglages Whisper à partir de la configuration puis des options de la ligne de commande
+ * @param {object} config - Section "whisper" du fichier de configuration ({ model, language, task, cacheDir, offline, transcribeOnce })
+ * @param {object} options - { whisperModel, language, translate, whisperCache, transcribeOnce } issus de la ligne de commande
+ * @param {string} exeDir - Dossier de l'exécutable (base d'un cacheDir relatif)
+ * @returns {object} - { model, modelId, language, task, cacheDir, offline, transcribeOnce }
+ * @throws {CliError} - Si le modèle, la langue ou la tâche est invalide
+ */
+function resolveWhisperSettings(config = {}, options = {}, exeDir = process.cwd()) {
+    const settings = { ...DEFAULT_WHISPER_SETTINGS, ...config };
+    if (options.whisperModel !== undefined) settings.model = options.whisperModel;
+    if (options.language !== undefined) settings.language = options.language;
+    if (options.translate) settings.task = "translate";
+    if (options.whisperCache !== undefined) settings.cacheDir = options.whisperCache;
+    if (options.transcribeOnce) settings.transcribeOnce = true;
+
+    settings.model = String(settings.model).toLowerCase();
+    settings.language = String(settings.language).toLowerCase();
+    if (!WHISPER_MODELS.includes(settings.model)) {
+        throw new CliError(`Modèle Whisper inconnu: "${settings.model}" (attendu: ${WHISPER_MODELS.join(", ")}).`, EXIT_CODES.USAGE);
+    }
+    // Code de langue ("en", "es", "fr", "haw"...) ou nom anglais ("english"), vérifié par Whisper au chargement
+    if (settings.language !== "auto" && !/^[a-z]{2,3}$|^[a-z ]{4,}$/.test(settings.language)) {
+        throw new CliError(`Langue invalide: "${settings.language}" (code comme en, es, fr, ou auto).`, EXIT_CODES.USAGE);
+    }
+    if (!WHISPER_TASKS.includes(settings.task)) {
+        throw new CliError(`Tâche Whisper inconnue: "${settings.task}" (attendu: ${WHISPER_TASKS.join(", ")}).`, EXIT_CODES.USAGE);
+    }
+
+    return {
+        ...settings,
+        modelId: `Xenova/whisper-${settings.model}`,
+        cacheDir: path.resolve(exeDir, settings.cacheDir),
+        offline: Boolean(settings.offline),
+        transcribeOnce: Boolean(settings.transcribeOnce),
+    };
+}
+
+/**
+ * Lit un fichier WAV PCM 16 bits mono (celui extrait pour Whisper) en échantillons flottants.
+ * Sous Node, transformers ne sait pas décoder un fichier audio lui-même: il faut lui passer les échantillons.
+ * @param {string} wavFile
+ * @param {number} [maxSeconds] - Ne lire que le début du fichier
+ * @returns {Float32Array}
+ * @throws {Error} - Si le fichier n'est pas un WAV PCM 16 bits
+ */
+function readWavSamples(wavFile, maxSeconds = Infinity) {
+    const buffer = fs.readFileSync(wavFile);
+    if (buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+        throw new Error(`fichier WAV invalide: ${wavFile}`);
+    }
+
+    let sampleRate = 16000;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString("ascii", offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+        if (id === "fmt ") {
+            if (buffer.readUInt16LE(body) !== 1 || buffer.readUInt16LE(body + 14) !== 16) {
+                throw new Error(`WAV non PCM 16 bits: ${wavFile}`);
+            }
+            sampleRate = buffer.readUInt32LE(body + 4);
+        } else if (id === "data") {
+            // ffmpeg laisse la taille à 0 ou au maximum quand il écrit dans un flux: on lit jusqu'à la fin
+            const end = size && body + size <= buffer.length ? body + size : buffer.length;
+            const count = Math.min(Math.floor((end - body) / 2), Math.floor(maxSeconds * sampleRate));
+            const samples = new Float32Array(count);
+            for (let i = 0; i < count; i++) {
+                samples[i] = buffer.readInt16LE(body + i * 2) / 32768;
+            }
+            return samples;
+        }
+        // Les blocs sont alignés sur 2 octets
+        offset = body + size + (size % 2);
+    }
+    throw new Error(`aucune donnée audio dans ${wavFile}`);
+}
+
+/**
+ * Détecte la langue parlée au début d'un audio: Whisper prédit un jeton de langue ("<|en|>")
+ * juste après le début de transcription, quand aucune langue ne lui est imposée.
+ * @param {Function} transcriber - Pipeline automatic-speech-recognition chargé
+ * @param {Float32Array} samples - Échantillons à 16 kHz (seules les 30 premières secondes sont utilisées)
+ * @returns {Promise<string|null>} - Code de langue ("en", "es", "fr"...) ou null
+ */
+async function detectLanguage(transcriber, samples) {
+    const { input_features } = await transcriber.processor(samples.subarray(0, 30 * 16000));
+    const output = await transcriber.model.generate(input_features, { max_new_tokens: 1 });
+    const tokens = Array.from(output[0] || [], Number);
+    for (const token of tokens) {
+        const match = transcriber.tokenizer.decode([token]).match(/^<\|([a-z]{2,3})\|>$/);
+        if (match) return match[1];
+    }
+    return null;
+}
+
+module.exports = { WHISPER_MODELS, WHISPER_TASKS, DEFAULT_WHISPER_SETTINGS, resolveWhisperSettings, readWavSamples, detectLanguage };
@@ -6,18 +6,53 @@ const { execSync } = require("child_process");
 const readline = require("readline");
 const https = require("https");
 const unzipper = require("unzipper");
+const { EXIT_CODES, CliError, readTimecodeAnswer, parseArgs, helpText } = require("./lib/cli");
+const { loadConfig } = require("./lib/config");
+const { resolveSources, readSourceList, expandPlaylist, urlSource, fileSource } = require("./lib/sources");
+const { resolveFormatPolicy, buildFormatSelector, FORMAT_PRINT_TEMPLATE, parseChosenFormat, REMOTE_MEDIA_TEMPLATE, parseRemoteMedia } = require("./lib/formats");
+const { resolveBinary, platformName, probeFfmpegCapabilities, probeYtDlpVersion } = require("./lib/binaries");
+const { parseRanges, formatTime } = require("./lib/timecode");
+const { resolveLayout, planClips, planClipsFromRanges, describeLayout } = require("./lib/layout");
+const { detectSceneChanges, findCutPoints, snapClips } = require("./lib/boundaries");
+const { probeMedia, describeMedia } = require("./lib/probe");
+const { resolveSubtitleStyle, placeSubtitles, foregroundHeightFor } = require("./lib/styles");
+const { CANVAS_PRESETS, DEFAULT_CANVAS, resolveCanvas, canvasScale, describeCanvas } = require("./lib/canvas");
+const { DEFAULT_BACKGROUND_SETTINGS, resolveBackgroundSettings, backgroundInputFile, backgroundFilter } = require("./lib/background");
+const { resolveOverlaySettings, clipOverlays, usesSourceTitle, drawtextFilter } = require("./lib/overlays");
+const { VIDEO_MODES, FILLER_MODES, TRACKING_MODES, DEFAULT_COMPOSITION_SETTINGS, resolveCompositionSettings, listFillers, pickFiller, stackHeights, regionCrop } = require("./lib/composition");
+const { lineCharsFor, groupWords, cueText, buildKaraokeAss, buildStaticAss } = require("./lib/captions");
+const { resolveSubtitleOutputs, parseSubtitles, dedupeCues, clipCues, formatSrtTime, serializeSrt, serializeVtt, mp4Language } = require("./lib/subtitles");
+const { runCommand, runPool, createSerialQueue } = require("./lib/pool");
+const { loadManifest, saveManifest, createManifest, isSameJob, pendingClips, markClip } = require("./lib/manifest");
+const { FFMPEG_PROGRESS_ARGS, createProgressParser, createProgressDisplay } = require("./lib/progress");
+const { resolveWhisperSettings, readWavSamples, detectLanguage } = require("./lib/whisper");
+const { transcriptFile, loadTranscript, saveTranscript } = require("./lib/transcript");
+const { SIGNALS, measureLoudness, scoreClips, selectTopClips, describeSignals } = require("./lib/highlights");
+const { printPlan, writePlan } = require("./lib/plan");
+const { resolveReframeSettings, analysisSize, cropRatioFor, readFrames, motionCenters, personCenter, smoothPath, simplifyPath, cropXExpression } = require("./lib/reframe");
 
 // Whisper pour la transcription locale (via @xenova/transformers)
 let whisperPipeline = null;
+let whisperModelId = null;
 
-async function initWhisper() {
-    if (whisperPipeline) return whisperPipeline;
+/**
+ * Charge le modèle Whisper (une seule fois par modèle)
+ * @param {object} whisper - Réglages Whisper (voir lib/whisper.js)
+ * @returns {Promise<Function|null>} - Pipeline de transcription ou null si indisponible
+ */
+async function initWhisper(whisper) {
+    if (whisperPipeline && whisperModelId === whisper.modelId) return whisperPipeline;
     try {
-        const { pipeline } = await import('@xenova/transformers');
-        console.log("🔄 Chargement du modèle Whisper (première utilisation peut prendre du temps)...");
-        whisperPipeline = await pipeline('automatic-speech-recognition', 'Xenova/whisper-small', {
+        const { pipeline, env } = await import('@xenova/transformers');
+        // Modèles lus puis mis en cache dans le même dossier: hors ligne, seuls les modèles déjà présents sont utilisés
+        env.cacheDir = whisper.cacheDir;
+        env.localModelPath = whisper.cacheDir;
+        env.allowRemoteModels = !whisper.offline;
+        console.log(`🔄 Chargement du modèle Whisper ${whisper.model} (première utilisation peut prendre du temps)...`);
+        whisperPipeline = await pipeline('automatic-speech-recognition', whisper.modelId, {
             quantized: true // Utilise le modèle quantifié pour de meilleures performances
         });
+        whisperModelId = whisper.modelId;
         console.log("✅ Modèle Whisper chargé!");
         return whisperPipeline;
     } catch (err) {
@@ -26,27 +61,108 @@ async function initWhisper() {
     }
 }
 
+// Détection de personnes pour le recadrage qui suit le sujet (via @xenova/transformers)
+let detectorPipeline = null;
+let detectorModelId = null;
+
+/**
+ * Charge le modèle de détection d'objets (une seule fois par modèle)
+ * @param {object} reframe - Réglages du recadrage (voir lib/reframe.js)
+ * @returns {Promise<Function|null>} - Pipeline de détection ou null si indisponible
+ */
+async function initDetector(reframe) {
+    if (detectorPipeline && detectorModelId === reframe.model) return detectorPipeline;
+    try {
+        const { pipeline, env } = await import('@xenova/transformers');
+        env.cacheDir = reframe.cacheDir;
+        env.localModelPath = reframe.cacheDir;
+        env.allowRemoteModels = !reframe.offline;
+        console.log(`🔄 Chargement du modèle de détection ${reframe.model}...`);
+        detectorPipeline = await pipeline('object-detection', reframe.model, { quantized: true });
+        detectorModelId = reframe.model;
+        console.log("✅ Modèle de détection chargé!");
+        return detectorPipeline;
+    } catch (err) {
+        console.error("⚠️ Impossible de charger le modèle de détection:", err.message);
+        return null;
+    }
+}
+
+/**
+ * Position des personnes sur des images extraites
+ * @param {Array} frames - Images (voir readFrames)
+ * @param {object} size - { width, height } des images
+ * @param {number} cropRatio - Largeur du cadre en fraction de la largeur de la source
+ * @param {object} reframe - Réglages du recadrage
+ * @returns {Promise<Array|null>} - Centre du sujet par image (null si personne), ou null si le modèle est indisponible
+ */
+async function detectPeople(frames, { width, height }, cropRatio, reframe) {
+    const detector = await initDetector(reframe);
+    if (!detector) return null;
+    const { RawImage } = await import('@xenova/transformers');
+    const centers = [];
+    for (const frame of frames) {
+        const image = new RawImage(new Uint8ClampedArray(frame.pixels), width, height, 3);
+        const detections = await detector(image, { threshold: reframe.minScore });
+        centers.push(personCenter(detections, width, cropRatio));
+    }
+    return centers;
+}
+
+/**
+ * Analyse un segment et calcule le chemin du cadre qui suit le sujet
+ * @param {string} ffmpegPath - Chemin vers ffmpeg
+ * @param {string} videoFile - Vidéo source
+ * @param {object} range - { start, end } du segment en secondes
+ * @param {object} media - Caractéristiques de la source (voir lib/probe.js)
+ * @param {object} reframe - Réglages du recadrage, detector passé à "motion" si le modèle est indisponible
+ * @param {object} canvas - Format de sortie { width, height }
+ * @returns {Promise<object>} - { path: [{ t, x }] (vide: cadre centré), detector: méthode utilisée }
+ */
+async function analyseCropPath(ffmpegPath, videoFile, range, media, reframe, canvas) {
+    const size = analysisSize(media);
+    const cropRatio = cropRatioFor(media, canvas);
+    const frames = readFrames(ffmpegPath, videoFile, range, size, reframe.sampleRate);
+
+    let centers = null;
+    let detector = "motion";
+    if (reframe.detector !== "motion") {
+        centers = await detectPeople(frames, size, cropRatio, reframe);
+        if (!centers) {
+            // Modèle indisponible: les segments suivants passent directement au mouvement
+            console.warn("⚠️ Détection de personnes indisponible: recadrage d'après le mouvement.");
+            reframe.detector = "motion";
+        } else if (reframe.detector === "auto" && centers.every(center => center === null)) {
+            centers = null;
+        } else {
+            detector = "person";
+        }
+    }
+    if (!centers) centers = motionCenters(frames, size, cropRatio);
+
+    const samples = frames.map((frame, i) => ({ t: frame.t, x: centers[i] }));
+    return { path: simplifyPath(smoothPath(samples, reframe)), detector };
+}
+
 // Speed-up removed: the video will be processed at normal speed
 
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-});
+// L'interface readline n'est créée qu'à la première question, pour ne pas bloquer stdin en mode non interactif
+let rl = null;
 
 function ask(question) {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+        });
+    }
     return new Promise(resolve => rl.question(question, resolve));
 }
 
-function toSeconds(time) {
-    const parts = time.split(":").map(Number);
-    if (parts.length === 3) {
-        const [h, m, s] = parts;
-        return h * 3600 + m * 60 + s;
-    } else if (parts.length === 2) {
-        const [m, s] = parts;
-        return m * 60 + s;
-    } else {
-        return parts[0] || 0;
+function closePrompt() {
+    if (rl) {
+        rl.close();
+        rl = null;
     }
 }
 
@@ -201,13 +317,31 @@ function getLogoPosition(position, margin) {
 /**
  * Construit la chaîne de filtres vidéo pour les effets de transformation.
  * ANTI-DÉTECTION: Inclut colorimétrie, hue, colorbalance, vignette, rotation, zoom, grain, miroir, logo et watermark.
- * @param {boolean} useBlurFill - Si true, utilise le format blur fill, sinon crop simple
- * @param {boolean} hasLogo - Si true, le logo sera ajouté
- * @param {boolean} hasWatermark - Si true, le watermark sera ajouté par-dessus la vidéo
- * @param {object} effects - Effets uniques générés pour ce segment
+ * @param {string} mode - Mode vidéo (voir lib/composition.js): blur, crop, stack, pip ou split
+ * @param {object} [options]
+ * @param {boolean} [options.hasLogo] - Si true, le logo sera ajouté
+ * @param {boolean} [options.hasWatermark] - Si true, le watermark sera ajouté par-dessus la vidéo
+ * @param {object} [options.effects] - Effets uniques générés pour ce segment
+ * @param {Array} [options.cropPath] - Mode crop: chemin du cadre qui suit le sujet (voir lib/reframe.js), centré sinon
+ * @param {object} [options.canvas] - Format de sortie { width, height } (voir lib/canvas.js), 1080x1920 par défaut
+ * @param {object} [options.composition] - Réglages des modes stack, pip et split (voir lib/composition.js)
+ * @param {object} [options.background] - Fond du mode blur (voir lib/background.js)
+ * @param {string[]} [options.textFilters] - Filtres drawtext des textes incrustés par-dessus tout le reste (voir lib/overlays.js)
  * @returns {string} - La chaîne de filtres vidéo pour FFmpeg
  */
-function buildVideoFilter(useBlurFill, hasLogo = false, hasWatermark = false, effects = EFFECTS) {
+function buildVideoFilter(mode, {
+    hasLogo = false,
+    hasWatermark = false,
+    effects = EFFECTS,
+    cropPath = null,
+    canvas = CANVAS_PRESETS[DEFAULT_CANVAS],
+    composition = DEFAULT_COMPOSITION_SETTINGS,
+    background = DEFAULT_BACKGROUND_SETTINGS,
+    textFilters = [],
+} = {}) {
+    const { width: W, height: H } = canvas;
+    // Textes ajoutés à la fin de la dernière chaîne (image finale du canevas)
+    const textPart = textFilters.map(filter => `,${filter}`).join("");
     const rotationRad = (effects.rotationDeg * Math.PI / 180).toFixed(6);
 
     // Filtre de colorimétrie de base
@@ -248,81 +382,117 @@ function buildVideoFilter(useBlurFill, hasLogo = false, hasWatermark = false, ef
     // Combinaison des filtres de couleur avancés (sans vignette qui cachait la vidéo)
     const advancedColorFilters = `${colorFilter},${hueFilter},${colorBalanceFilter},${curvesFilter},${waveFilter}`;
 
-    // Logo overlay (si activé)
-    const logoPos = getLogoPosition(effects.logo.position, effects.logo.margin);
-    const logoScale = `scale=1080*${effects.logo.scale}:-1`;
+    // Logo overlay (si activé): taille relative au côté court du canevas
+    const logoPos = getLogoPosition(effects.logo.position, Math.round(effects.logo.margin * canvasScale(canvas)));
+    const logoScale = `scale=${Math.min(W, H)}*${effects.logo.scale}:-1`;
     const logoOpacity = effects.logo.opacity < 1 ? `,format=rgba,colorchannelmixer=aa=${effects.logo.opacity}` : '';
 
     // Ajout conditionnel du filtre de vitesse
     const speedPart = speedFilter ? `,${speedFilter}` : '';
 
-    // Index des inputs: [0:v]=vidéo, [1:v]=watermark (si présent), [2:v]=logo (si watermark+logo) ou [1:v]=logo (si logo seul)
-    const watermarkInput = hasWatermark ? (hasLogo ? '[1:v]' : '[1:v]') : '';
-    const logoInput = hasLogo ? (hasWatermark ? '[2:v]' : '[1:v]') : '';
+    // Index des inputs: [0:v]=vidéo, puis remplissage (stack, pip) ou fond (image, vidéo), watermark et logo, chacun s'il est présent
+    let nextInput = 1;
+    const fillerInput = FILLER_MODES.includes(mode) ? `[${nextInput++}:v]` : '';
+    const backgroundInput = mode === "blur" && backgroundInputFile(background) ? `[${nextInput++}:v]` : '';
+    const watermarkInput = hasWatermark ? `[${nextInput++}:v]` : '';
+    const logoInput = hasLogo ? `[${nextInput++}:v]` : '';
 
     // Base de transformation vidéo
     const videoTransform = `${zoomScale},${rotateFilter},crop=iw/${effects.zoom}:ih/${effects.zoom}:(iw-iw/${effects.zoom})/2+${effects.panX}:(ih-ih/${effects.zoom})/2+${effects.panY},${advancedColorFilters},${grainFilter},${blurFilter}${mirrorFilter}${speedPart}`;
 
-    if (useBlurFill) {
-        // Format blur fill: fond flou + vidéo centrée
-        let filter = `"split=2[main][bg];` +
-            `[main]${videoTransform},scale=1080:-1[fg];` +
-            `[bg]scale=1080:1920:force_original_aspect_ratio=increase,boxblur=20:1,crop=1080:1920[bl];`;
+    if (mode === "blur") {
+        // Format blur fill: fond (flou de la source par défaut) + vidéo centrée, contenue dans le canevas
+        const foreground = `${videoTransform},scale=${W}:${H}:force_original_aspect_ratio=decrease[fg];`;
+        // Fond image ou vidéo: entrée à part, en boucle (la source fixe la durée); sinon calculé sur une copie de la source
+        let filter = backgroundInput
+            ? `"[0:v]${foreground}${backgroundFilter(background, canvas, backgroundInput)};`
+            : `"split=2[main][bg];[main]${foreground}${backgroundFilter(background, canvas, "[bg]")};`;
+        const onBackground = `overlay=(W-w)/2:(H-h)/2${backgroundInput ? ":shortest=1" : ""}`;
 
         if (hasWatermark && hasLogo) {
             // Watermark + Logo: watermark sur fg, puis logo, puis sur blur
-            filter += `${watermarkInput}scale=1080:-1[wm];` +
+            filter += `${watermarkInput}scale=${W}:-1[wm];` +
                 `[fg][wm]overlay=0:(H-h)/2[fgwm];` +
                 `${logoInput}${logoScale}${logoOpacity}[logo];` +
                 `[fgwm][logo]overlay=${logoPos}[fglogo];` +
-                `[bl][fglogo]overlay=(W-w)/2:(H-h)/2"`;
+                `[bl][fglogo]${onBackground}${textPart}"`;
         } else if (hasWatermark) {
             // Watermark seul: watermark sur fg, puis sur blur
-            filter += `${watermarkInput}scale=1080:-1[wm];` +
+            filter += `${watermarkInput}scale=${W}:-1[wm];` +
                 `[fg][wm]overlay=0:(H-h)/2[fgwm];` +
-                `[bl][fgwm]overlay=(W-w)/2:(H-h)/2"`;
+                `[bl][fgwm]${onBackground}${textPart}"`;
         } else if (hasLogo) {
             // Logo seul
             filter += `${logoInput}${logoScale}${logoOpacity}[logo];` +
                 `[fg][logo]overlay=${logoPos}[fglogo];` +
-                `[bl][fglogo]overlay=(W-w)/2:(H-h)/2"`;
+                `[bl][fglogo]${onBackground}${textPart}"`;
         } else {
             // Ni watermark ni logo
-            filter += `[bl][fg]overlay=(W-w)/2:(H-h)/2"`;
+            filter += `[bl][fg]${onBackground}${textPart}"`;
         }
         return filter;
+    }
+
+    // Autres modes: la composition remplit le canevas, watermark et logo sont posés par-dessus
+    // Cadre au format du canevas, centré ou qui suit le sujet (le miroir et la vitesse sont appliqués avant le recadrage)
+    const cropX = cropPath && cropPath.length > 0
+        ? `'${cropXExpression(cropPath, { mirror: effects.mirror, speed: effects.speed })}'`
+        : "(iw-ow)/2";
+    const crop = `crop='min(iw,ih*${W}/${H})':'min(ih,iw*${H}/${W})':${cropX}:(ih-oh)/2,scale=${W}:${H}`;
+    const { top, bottom } = stackHeights(canvas, composition.stackRatio);
+
+    let composed;
+    if (mode === "stack") {
+        // Source en haut, remplissage en bas (le remplissage tourne en boucle: la source fixe la durée)
+        composed = `[0:v]${videoTransform},scale=${W}:${top}:force_original_aspect_ratio=increase,crop=${W}:${top},setsar=1,format=yuv420p[top];` +
+            `${fillerInput}scale=${W}:${bottom}:force_original_aspect_ratio=increase,crop=${W}:${bottom},setsar=1,format=yuv420p[bottom];` +
+            `[top][bottom]vstack=shortest=1`;
+    } else if (mode === "pip") {
+        // Source recadrée plein écran, remplissage en incrustation dans un coin
+        const pipWidth = Math.round((W * composition.pipSize) / 2) * 2;
+        const pipPos = getLogoPosition(composition.pipPosition, Math.round(composition.pipMargin * canvasScale(canvas)));
+        composed = `[0:v]${videoTransform},${crop}[base];` +
+            `${fillerInput}scale=${pipWidth}:-2,setsar=1[pip];` +
+            `[base][pip]overlay=${pipPos}:shortest=1`;
+    } else if (mode === "split") {
+        // Deux cadrages de la même source (un intervenant chacun), empilés
+        const [first, second] = composition.splitCenters;
+        composed = `${videoTransform},split=2[s1][s2];` +
+            `[s1]${regionCrop(first, { width: W, height: top }, composition.splitZoom, effects.mirror)},scale=${W}:${top},setsar=1[top];` +
+            `[s2]${regionCrop(second, { width: W, height: bottom }, composition.splitZoom, effects.mirror)},scale=${W}:${bottom},setsar=1[bottom];` +
+            `[top][bottom]vstack`;
     } else {
         // Format crop simple
-        let filter = `"${videoTransform},` +
-            `crop='min(iw,ih*9/16)':'min(ih,iw*16/9)':(iw-ow)/2:(ih-oh)/2,scale=1080:1920[vid];`;
+        composed = `${videoTransform},${crop}`;
+    }
 
-        if (hasWatermark && hasLogo) {
-            filter += `${watermarkInput}scale=1080:1920[wm];` +
-                `[vid][wm]overlay=0:0[vidwm];` +
-                `${logoInput}${logoScale}${logoOpacity}[logo];` +
-                `[vidwm][logo]overlay=${logoPos}"`;
-        } else if (hasWatermark) {
-            filter += `${watermarkInput}scale=1080:1920[wm];` +
-                `[vid][wm]overlay=0:0"`;
-        } else if (hasLogo) {
-            filter += `${logoInput}${logoScale}${logoOpacity}[logo];` +
-                `[vid][logo]overlay=${logoPos}"`;
-        } else {
-            // Enlever le [vid]; final et fermer les guillemets
-            filter = `"${videoTransform},` +
-                `crop='min(iw,ih*9/16)':'min(ih,iw*16/9)':(iw-ow)/2:(ih-oh)/2,scale=1080:1920"`;
-        }
-        return filter;
+    if (!hasWatermark && !hasLogo) {
+        return `"${composed}${textPart}"`;
     }
+    let filter = `"${composed}[vid];`;
+    if (hasWatermark && hasLogo) {
+        filter += `${watermarkInput}scale=${W}:${H}[wm];` +
+            `[vid][wm]overlay=0:0[vidwm];` +
+            `${logoInput}${logoScale}${logoOpacity}[logo];` +
+            `[vidwm][logo]overlay=${logoPos}${textPart}"`;
+    } else if (hasWatermark) {
+        filter += `${watermarkInput}scale=${W}:${H}[wm];` +
+            `[vid][wm]overlay=0:0${textPart}"`;
+    } else {
+        filter += `${logoInput}${logoScale}${logoOpacity}[logo];` +
+            `[vid][logo]overlay=${logoPos}${textPart}"`;
+    }
+    return filter;
 }
 
 /**
  * Construit la chaîne de filtres audio pour les effets de transformation.
  * ANTI-DÉTECTION: Inclut EQ variable, pitch shift et ajustement de vitesse.
  * @param {object} effects - Effets uniques générés pour ce segment
+ * @param {number} sampleRate - Fréquence d'échantillonnage de la source (mesurée par ffprobe)
  * @returns {string} - La chaîne de filtres audio pour FFmpeg
  */
-function buildAudioFilter(effects = EFFECTS) {
+function buildAudioFilter(effects = EFFECTS, sampleRate = 48000) {
     // EQ: bass et treble filters avec valeurs variables
     const bassFilter = `bass=g=${effects.bassGain}:f=100`;
     const trebleFilter = `treble=g=${effects.trebleGain}:f=3000`;
@@ -330,7 +500,6 @@ function buildAudioFilter(effects = EFFECTS) {
     // Pitch shift: seulement si pitchShift != 1.0 pour éviter désynchronisation
     let pitchFilter = '';
     if (effects.pitchShift !== 1.0) {
-        const sampleRate = 48000;
         const atempoCompensation = (1 / effects.pitchShift).toFixed(6);
         pitchFilter = `,asetrate=${sampleRate}*${effects.pitchShift},aresample=${sampleRate},atempo=${atempoCompensation}`;
     }
@@ -373,18 +542,13 @@ function downloadYoutubeSubtitles(youtubeUrl, outputDir, ytDlpPath) {
             `"${ytDlpPath}" --write-auto-sub --sub-lang fr --sub-format srt --skip-download -o "${path.join(outputDir, 'youtube_subs')}" "${youtubeUrl}"`,
             { stdio: 'pipe' }
         );
-        if (fs.existsSync(srtFile)) {
-            console.log("✅ Sous-titres auto-générés FR téléchargés!");
-            return srtFile;
-        }
-        // Parfois yt-dlp télécharge en VTT, convertir si nécessaire
-        if (fs.existsSync(vttFile)) {
-            // Lire et convertir VTT en SRT basique
-            const vttContent = fs.readFileSync(vttFile, 'utf-8');
-            const srtContent = convertVttToSrt(vttContent);
-            fs.writeFileSync(srtFile, srtContent);
-            fs.unlinkSync(vttFile);
-            console.log("✅ Sous-titres auto-générés FR convertis!");
+        // Parfois yt-dlp télécharge en VTT: dans les deux cas, les lignes répétées par le défilement sont retirées
+        const autoFile = [srtFile, vttFile].find(f => fs.existsSync(f));
+        if (autoFile) {
+            const cues = dedupeCues(parseSubtitles(fs.readFileSync(autoFile, 'utf-8')));
+            if (autoFile === vttFile) fs.unlinkSync(vttFile);
+            fs.writeFileSync(srtFile, serializeSrt(cues));
+            console.log(`✅ Sous-titres auto-générés FR téléchargés! (${cues.length} répliques)`);
             return srtFile;
         }
     } catch { /* pas de sous-titres auto FR */ }
@@ -393,30 +557,6 @@ function downloadYoutubeSubtitles(youtubeUrl, outputDir, ytDlpPath) {
     return null;
 }
 
-/**
- * Convertit un fichier VTT en SRT
- * @param {string} vttContent - Contenu du fichier VTT
- * @returns {string} - Contenu au format SRT
- */
-function convertVttToSrt(vttContent) {
-    // Supprimer l'en-tête WEBVTT
-    let content = vttContent.replace(/^WEBVTT\n\n/, '');
-    // Supprimer les lignes de métadonnées (Kind:, Language:, etc.)
-    content = content.replace(/^(Kind|Language):.*\n/gm, '');
-    // Convertir les timestamps VTT (00:00:00.000) en SRT (00:00:00,000)
-    content = content.replace(/(\d{2}:\d{2}:\d{2})\.(\d{3})/g, '$1,$2');
-    // Ajouter les numéros de séquence
-    let index = 1;
-    const blocks = content.trim().split(/\n\n+/);
-    const srtBlocks = blocks.map(block => {
-        if (block.includes('-->')) {
-            return `${index++}\n${block}`;
-        }
-        return '';
-    }).filter(b => b);
-    return srtBlocks.join('\n\n');
-}
-
 /**
  * Extrait les sous-titres correspondant aux segments sélectionnés
  * @param {string} srtFile - Fichier SRT source complet
@@ -427,104 +567,121 @@ function convertVttToSrt(vttContent) {
 function extractSubtitlesForSegments(srtFile, segments, outputFile) {
     if (!fs.existsSync(srtFile)) return null;
 
-    const content = fs.readFileSync(srtFile, 'utf-8');
-    const blocks = content.split(/\n\n+/).filter(b => b.trim());
-
-    let newSubs = [];
-    let newIndex = 1;
-    let timeOffset = 0; // Offset cumulé pour ajuster les timecodes
-
-    for (let segIdx = 0; segIdx < segments.length; segIdx++) {
-        const { start: segStart, end: segEnd } = segments[segIdx];
-
-        for (const block of blocks) {
-            const lines = block.split('\n');
-            if (lines.length < 2) continue;
-
-            // Trouver la ligne de timecode
-            let timeLineIdx = 0;
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].includes('-->')) {
-                    timeLineIdx = i;
-                    break;
-                }
-            }
-
-            const timeLine = lines[timeLineIdx];
-            const timeMatch = timeLine.match(/(\d{2}):(\d{2}):(\d{2}),(\d{3})\s*-->\s*(\d{2}):(\d{2}):(\d{2}),(\d{3})/);
-            if (!timeMatch) continue;
-
-            const subStart = parseInt(timeMatch[1]) * 3600 + parseInt(timeMatch[2]) * 60 + parseInt(timeMatch[3]) + parseInt(timeMatch[4]) / 1000;
-            const subEnd = parseInt(timeMatch[5]) * 3600 + parseInt(timeMatch[6]) * 60 + parseInt(timeMatch[7]) + parseInt(timeMatch[8]) / 1000;
+    // Timecodes ramenés au début du clip concaténé, répliques à cheval sur deux segments raccourcies
+    const cues = clipCues(parseSubtitles(fs.readFileSync(srtFile, 'utf-8')), segments);
 
-            // Vérifier si ce sous-titre est dans le segment actuel
-            if (subStart >= segStart && subEnd <= segEnd) {
-                // Ajuster les timecodes par rapport au début du clip concaténé
-                const adjustedStart = subStart - segStart + timeOffset;
-                const adjustedEnd = subEnd - segStart + timeOffset;
-
-                const newStartStr = formatSrtTime(adjustedStart);
-                const newEndStr = formatSrtTime(adjustedEnd);
-
-                const textLines = lines.slice(timeLineIdx + 1).join('\n');
-                newSubs.push(`${newIndex}\n${newStartStr} --> ${newEndStr}\n${textLines}`);
-                newIndex++;
-            }
-        }
-
-        // Ajouter la durée du segment à l'offset pour le prochain segment
-        timeOffset += (segEnd - segStart);
-    }
-
-    if (newSubs.length === 0) {
+    if (cues.length === 0) {
         console.log("⚠️ Aucun sous-titre trouvé pour ces segments.");
         return null;
     }
 
-    fs.writeFileSync(outputFile, newSubs.join('\n\n'));
-    console.log(`✅ ${newSubs.length} sous-titres extraits pour le clip.`);
+    fs.writeFileSync(outputFile, serializeSrt(cues));
+    console.log(`✅ ${cues.length} sous-titres extraits pour le clip.`);
     return outputFile;
 }
 
 /**
- * Formate un temps en secondes en format SRT (HH:MM:SS,mmm)
+ * Contenu de la liste de concaténation ffmpeg (concat demuxer) d'un clip
+ * @param {string[]} segmentFiles - Segments du clip, dans l'ordre
+ * @returns {string}
  */
-function formatSrtTime(seconds) {
-    const h = Math.floor(seconds / 3600);
-    const m = Math.floor((seconds % 3600) / 60);
-    const s = Math.floor(seconds % 60);
-    const ms = Math.round((seconds % 1) * 1000);
-    return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')},${ms.toString().padStart(3, '0')}`;
+function buildConcatList(segmentFiles) {
+    return segmentFiles.map(f => `file '${f.replace(/\\/g, "/")}'`).join("\n");
 }
 
 /**
- * Incruste les sous-titres dans la vidéo
+ * Commande de concaténation des segments d'un clip, sans réencodage, avec des métadonnées uniques
+ * @param {string} ffmpegPath - Chemin vers ffmpeg
+ * @param {string} logArgs - Arguments ffmpeg de journalisation
+ * @param {string} concatListFile - Liste des segments (voir buildConcatList)
+ * @param {string} outputFile - Clip assemblé
+ * @returns {string}
+ */
+function buildConcatCommand(ffmpegPath, logArgs, concatListFile, outputFile) {
+    // 📝 MÉTADONNÉES UNIQUES pour le clip final
+    const uniqueId = `${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const fakeDate = new Date(Date.now() - Math.floor(Math.random() * 86400000 * 30));
+    const metadataArgs = `-metadata title="clip_${uniqueId}" ` +
+        `-metadata creation_time="${fakeDate.toISOString()}" ` +
+        `-metadata encoder="custom_${Math.random().toString(36).slice(2, 8)}" ` +
+        `-metadata comment="${Math.random().toString(36).slice(2, 18)}"`;
+
+    return `"${ffmpegPath}" ${logArgs}-y -f concat -safe 0 -i "${concatListFile}" -c copy ${metadataArgs} "${outputFile}"`;
+}
+
+/**
+ * Commande d'incrustation d'un fichier ASS dans une vidéo
+ * @param {string} ffmpegPath - Chemin vers ffmpeg
+ * @param {string} logArgs - Arguments ffmpeg de journalisation
  * @param {string} videoFile - Vidéo source
- * @param {string} srtFile - Fichier SRT
+ * @param {string} assFile - Fichier ASS
  * @param {string} outputFile - Vidéo de sortie
+ * @returns {string}
+ */
+function buildBurnCommand(ffmpegPath, logArgs, videoFile, assFile, outputFile) {
+    // Échapper les caractères spéciaux pour Windows
+    const assFileEscaped = assFile.replace(/\\/g, '/').replace(/:/g, '\\:');
+    const subtitleFilter = `subtitles='${assFileEscaped}'`;
+
+    return `"${ffmpegPath}" ${logArgs}-y -i "${videoFile}" -vf "${subtitleFilter}" -c:a copy "${outputFile}"`;
+}
+
+/**
+ * Commande d'ajout d'une piste de sous-titres mov_text à un MP4
  * @param {string} ffmpegPath - Chemin vers ffmpeg
- * @returns {boolean}
+ * @param {string} logArgs - Arguments ffmpeg de journalisation
+ * @param {string} videoFile - Vidéo source
+ * @param {string} srtFile - Fichier SRT
+ * @param {string} outputFile - Vidéo de sortie
+ * @param {string} language - Code ISO 639-2 de la piste
+ * @returns {string}
  */
-function burnSubtitles(videoFile, srtFile, outputFile, ffmpegPath) {
-    console.log("\n📝 Incrustation des sous-titres...");
+function buildMuxCommand(ffmpegPath, logArgs, videoFile, srtFile, outputFile, language) {
+    return `"${ffmpegPath}" ${logArgs}-y -i "${videoFile}" -i "${srtFile}" -map 0 -map 1:0 -c copy -c:s mov_text ` +
+        `-metadata:s:s:0 language=${language} "${outputFile}"`;
+}
 
-    // Style des sous-titres: petits, positionnés dans la zone de blur (sous la vidéo)
-    // MarginV=580 pour positionner sous la vidéo centrée (dans le blur du bas)
-    // MarginL et MarginR pour éviter le dépassement horizontal
-    // WrapStyle=2 pour retour à la ligne automatique si texte trop long
-    const subtitleStyle = "FontName=Arial,FontSize=14,PrimaryColour=&H00FFFFFF,OutlineColour=&H00000000,BackColour=&H80000000,Bold=1,Outline=1,Shadow=1,MarginV=580,MarginL=50,MarginR=50,WrapStyle=2,Alignment=2";
+/**
+ * Incruste les sous-titres dans la vidéo
+ * @param {string} videoFile - Vidéo source
+ * @param {string} assFile - Fichier ASS, qui porte son propre style et son placement
+ * @param {string} outputFile - Vidéo de sortie
+ * @param {string} ffmpegPath - Chemin vers ffmpeg
+ * @param {object} options - { logArgs: arguments ffmpeg de journalisation, run: lance la commande, log: sortie des messages }
+ * @returns {Promise<boolean>}
+ */
+async function burnSubtitles(videoFile, assFile, outputFile, ffmpegPath, { logArgs = "", run = runCommand, log = console } = {}) {
+    log.log("\n📝 Incrustation des sous-titres...");
+    const cmd = buildBurnCommand(ffmpegPath, logArgs, videoFile, assFile, outputFile);
 
-    // Échapper les caractères spéciaux pour Windows
-    const srtFileEscaped = srtFile.replace(/\\/g, '/').replace(/:/g, '\\:');
+    try {
+        await run(cmd);
+        log.log("✅ Sous-titres incrustés avec succès!");
+        return true;
+    } catch (err) {
+        log.error(`⛔ Échec incrustation sous-titres: ${err.message}`);
+        return false;
+    }
+}
 
-    const cmd = `"${ffmpegPath}" -y -i "${videoFile}" -vf "subtitles='${srtFileEscaped}':force_style='${subtitleStyle}'" -c:a copy "${outputFile}"`;
+/**
+ * Ajoute une piste de sous-titres (mov_text) au MP4, sans réencodage
+ * @param {string} videoFile - Vidéo source
+ * @param {string} srtFile - Fichier SRT
+ * @param {string} outputFile - Vidéo de sortie
+ * @param {string} ffmpegPath - Chemin vers ffmpeg
+ * @param {string} language - Code ISO 639-2 de la piste ("fra", "eng", "und")
+ * @param {object} options - { logArgs, run, log } (voir burnSubtitles)
+ * @returns {Promise<boolean>}
+ */
+async function muxSubtitles(videoFile, srtFile, outputFile, ffmpegPath, language, { logArgs = "", run = runCommand, log = console } = {}) {
+    const cmd = buildMuxCommand(ffmpegPath, logArgs, videoFile, srtFile, outputFile, language);
 
     try {
-        execSync(cmd, { stdio: 'inherit' });
-        console.log("✅ Sous-titres incrustés avec succès!");
+        await run(cmd);
         return true;
     } catch (err) {
-        console.error("⛔ Échec incrustation sous-titres:", err.message);
+        log.error(`⛔ Échec ajout de la piste de sous-titres: ${err.message}`);
         return false;
     }
 }
@@ -534,13 +691,13 @@ function burnSubtitles(videoFile, srtFile, outputFile, ffmpegPath) {
  * @param {string} videoFile - Chemin vers la vidéo source
  * @param {string} outputWav - Chemin vers le fichier WAV de sortie
  * @param {string} ffmpegPath - Chemin vers ffmpeg
- * @returns {boolean} - true si succès
+ * @returns {Promise<boolean>} - true si succès
  */
-function extractAudioForWhisper(videoFile, outputWav, ffmpegPath) {
+async function extractAudioForWhisper(videoFile, outputWav, ffmpegPath) {
     console.log("🎵 Extraction audio pour Whisper...");
     const cmd = `"${ffmpegPath}" -y -i "${videoFile}" -ar 16000 -ac 1 -c:a pcm_s16le "${outputWav}"`;
     try {
-        execSync(cmd, { stdio: 'pipe' });
+        await runCommand(cmd, { quiet: true });
         console.log("✅ Audio extrait en WAV 16kHz mono.");
         return true;
     } catch (err) {
@@ -549,35 +706,58 @@ function extractAudioForWhisper(videoFile, outputWav, ffmpegPath) {
     }
 }
 
+/**
+ * Lance Whisper sur un fichier audio. En détection automatique, la langue est détectée au premier appel
+ * puis conservée dans les réglages, pour que tous les clips d'une vidéo soient transcrits dans la même langue.
+ * @param {string} audioFile - Fichier WAV 16kHz mono
+ * @param {object} whisper - Réglages Whisper (voir lib/whisper.js), language mis à jour après détection
+ * @param {boolean|string} timestamps - true (par phrase) ou 'word' (par mot)
+ * @returns {Promise<object|null>} - Résultat brut du pipeline ou null si Whisper est indisponible
+ */
+async function runWhisper(audioFile, whisper, timestamps) {
+    const transcriber = await initWhisper(whisper);
+    if (!transcriber) {
+        console.log("⚠️ Whisper non disponible.");
+        return null;
+    }
+
+    const samples = readWavSamples(audioFile);
+    if (whisper.language === 'auto') {
+        const detected = await detectLanguage(transcriber, samples).catch(() => null);
+        if (detected) {
+            console.log(`🌐 Langue détectée: ${detected}`);
+            whisper.language = detected;
+        } else {
+            console.log("⚠️ Langue non détectée: Whisper choisira pour chaque passage de 30s.");
+        }
+    }
+
+    return transcriber(samples, {
+        language: whisper.language === 'auto' ? null : whisper.language,
+        task: whisper.task,
+        return_timestamps: timestamps,
+        chunk_length_s: 30,
+        stride_length_s: 5
+    });
+}
+
 /**
  * Transcrit un fichier audio avec Whisper et génère un fichier SRT
  * @param {string} audioFile - Fichier WAV 16kHz mono
  * @param {string} outputSrt - Fichier SRT de sortie
- * @param {string} language - Langue ('fr', 'en', 'auto')
+ * @param {object} whisper - Réglages Whisper (modèle, langue ou 'auto', tâche)
  * @returns {Promise<string|null>} - Chemin du SRT ou null si échec
  */
-async function transcribeWithWhisper(audioFile, outputSrt, language = 'fr') {
-    console.log("\n🎤 Transcription avec Whisper (cela peut prendre du temps)...");
+async function transcribeWithWhisper(audioFile, outputSrt, whisper) {
+    console.log(`\n🎤 ${whisper.task === 'translate' ? "Traduction en anglais" : "Transcription"} avec Whisper (cela peut prendre du temps)...`);
 
     try {
-        const transcriber = await initWhisper();
-        if (!transcriber) {
-            console.log("⚠️ Whisper non disponible.");
-            return null;
-        }
-
-        // Transcrire avec @xenova/transformers
-        const result = await transcriber(audioFile, {
-            language: language,
-            task: 'transcribe',
-            return_timestamps: true,
-            chunk_length_s: 30,
-            stride_length_s: 5
-        });
+        const result = await runWhisper(audioFile, whisper, true);
+        if (!result) return null;
 
-        if (!result || !result.chunks || result.chunks.length === 0) {
+        if (!result.chunks || result.chunks.length === 0) {
             // Si pas de chunks mais du texte, créer un seul segment
-            if (result && result.text) {
+            if (result.text) {
                 const srtContent = `1\n00:00:00,000 --> 00:01:00,000\n${result.text.trim()}\n`;
                 fs.writeFileSync(outputSrt, srtContent);
                 console.log("✅ Transcription terminée: 1 segment.");
@@ -606,25 +786,70 @@ async function transcribeWithWhisper(audioFile, outputSrt, language = 'fr') {
     }
 }
 
+/**
+ * Transcrit un fichier audio avec Whisper, avec l'horodatage de chaque mot
+ * @param {string} audioFile - Fichier WAV 16kHz mono
+ * @param {object} whisper - Réglages Whisper (modèle, langue ou 'auto', tâche)
+ * @returns {Promise<Array|null>} - Mots [{ text, start, end }] ou null si échec
+ */
+async function transcribeWords(audioFile, whisper) {
+    console.log("\n🎤 Transcription mot à mot avec Whisper (cela peut prendre du temps)...");
+
+    try {
+        const result = await runWhisper(audioFile, whisper, 'word');
+        if (!result) return null;
+
+        const words = (result.chunks || [])
+            .map(chunk => {
+                const start = chunk.timestamp[0] || 0;
+                const end = chunk.timestamp[1] || start + 0.3;
+                return { text: chunk.text.trim(), start, end };
+            })
+            .filter(word => word.text);
+        console.log(`✅ Transcription terminée: ${words.length} mots.`);
+        return words;
+
+    } catch (err) {
+        console.error("⛔ Erreur Whisper:", err.message);
+        return null;
+    }
+}
+
 /**
  * Génère les sous-titres pour un clip vidéo avec Whisper
  * @param {string} videoFile - Vidéo à transcrire
  * @param {string} outputDir - Dossier de sortie
  * @param {number} clipNumber - Numéro du clip
  * @param {string} ffmpegPath - Chemin vers ffmpeg
- * @returns {Promise<string|null>} - Chemin du SRT ou null
+ * @param {string} captions - "karaoke" (mot à mot) ou "static" (phrases)
+ * @param {object} style - Style placé des sous-titres (voir lib/styles.js)
+ * @param {object} whisper - Réglages Whisper (voir lib/whisper.js)
+ * @returns {Promise<object|null>} - Sous-titres { cues, ass } (voir captionsFromSrt) ou null
  */
-async function generateWhisperSubtitles(videoFile, outputDir, clipNumber, ffmpegPath) {
+async function generateWhisperSubtitles(videoFile, outputDir, clipNumber, ffmpegPath, captions, style, whisper) {
     const tempWav = path.join(outputDir, `temp_audio_clip${clipNumber}.wav`);
     const srtFile = path.join(outputDir, `clip_${clipNumber}_whisper.srt`);
 
     // Extraire l'audio
-    if (!extractAudioForWhisper(videoFile, tempWav, ffmpegPath)) {
+    if (!(await extractAudioForWhisper(videoFile, tempWav, ffmpegPath))) {
         return null;
     }
 
-    // Transcrire avec Whisper
-    const result = await transcribeWithWhisper(tempWav, srtFile, 'fr');
+    // Transcrire avec Whisper: mot à mot pour le karaoké, sinon (ou en cas d'échec) par phrases
+    let result = null;
+    if (captions === "karaoke") {
+        const words = await transcribeWords(tempWav, whisper);
+        if (words && words.length > 0) {
+            const cues = groupWords(words, { maxLineChars: lineCharsFor(style) });
+            result = { cues: cues.map(cue => ({ start: cue.start, end: cue.end, text: cueText(cue) })), ass: buildKaraokeAss(cues, style) };
+        } else {
+            console.log("⚠️ Horodatage mot à mot indisponible: sous-titres classiques.");
+        }
+    }
+    if (!result) {
+        const transcribed = await transcribeWithWhisper(tempWav, srtFile, whisper);
+        if (transcribed) result = captionsFromSrt(transcribed, style);
+    }
 
     // Nettoyer le fichier WAV temporaire
     if (fs.existsSync(tempWav)) {
@@ -634,8 +859,69 @@ async function generateWhisperSubtitles(videoFile, outputDir, clipNumber, ffmpeg
     return result;
 }
 
+/**
+ * Lit un fichier SRT temporaire en sous-titres de clip (le SRT est supprimé)
+ * @param {string} srtFile - Fichier SRT
+ * @param {object} style - Style placé (voir lib/styles.js)
+ * @returns {object} - { cues: [{ start, end, text }] pour SRT/WebVTT, ass: contenu ASS stylé }
+ */
+function captionsFromSrt(srtFile, style) {
+    const cues = parseSubtitles(fs.readFileSync(srtFile, 'utf-8'));
+    fs.unlinkSync(srtFile);
+    return { cues, ass: buildStaticAss(cues, style) };
+}
+
+/**
+ * Transcrit la vidéo source complète avec Whisper, mot à mot. La transcription est mise en cache à côté
+ * de la vidéo: elle sert au score de parole des passages et aux sous-titres des clips (--transcribe-once).
+ * @param {string} videoFile - Vidéo source
+ * @param {string} outputDir - Dossier de travail
+ * @param {string} ffmpegPath - Chemin vers ffmpeg
+ * @param {object} whisper - Réglages Whisper (voir lib/whisper.js), language mis à jour si détectée
+ * @returns {Promise<Array|null>} - Mots [{ text, start, end }] ou null
+ */
+async function transcribeSource(videoFile, outputDir, ffmpegPath, whisper) {
+    const cached = loadTranscript(videoFile, whisper);
+    if (cached) {
+        console.log(`📄 Transcription réutilisée: ${transcriptFile(videoFile)}`);
+        whisper.language = cached.language;
+        return cached.words;
+    }
+
+    const tempWav = path.join(outputDir, "temp_audio_source.wav");
+    if (!(await extractAudioForWhisper(videoFile, tempWav, ffmpegPath))) {
+        return null;
+    }
+    const requested = { ...whisper };
+    const words = await transcribeWords(tempWav, whisper);
+    if (fs.existsSync(tempWav)) {
+        fs.unlinkSync(tempWav);
+    }
+    if (!words || words.length === 0) return null;
+
+    saveTranscript(videoFile, requested, whisper.language, words);
+    return words;
+}
+
+/**
+ * Sous-titres d'un clip à partir des mots de la transcription de la source
+ * @param {Array} words - Mots de la source [{ text, start, end }]
+ * @param {Array} segments - Segments du clip [{ start, end }] en secondes de la source
+ * @param {string} captions - "karaoke" ou "static"
+ * @param {object} style - Style placé des sous-titres (voir lib/styles.js)
+ * @returns {object|null} - { cues, ass } (voir captionsFromSrt), ou null si personne ne parle dans le clip
+ */
+function captionsFromTranscript(words, segments, captions, style) {
+    const clipWords = clipCues(words, segments);
+    if (clipWords.length === 0) return null;
+
+    const grouped = groupWords(clipWords, { maxLineChars: lineCharsFor(style) });
+    const cues = grouped.map(cue => ({ start: cue.start, end: cue.end, text: cueText(cue) }));
+    return { cues, ass: captions === "karaoke" ? buildKaraokeAss(grouped, style) : buildStaticAss(cues, style) };
+}
+
 async function downloadFFmpeg(destFolder) {
-    console.log("\nffmpeg.exe not found. Downloading…");
+    console.log("\nffmpeg.exe / ffprobe.exe not found. Downloading…");
     const zipPath = path.join(destFolder, "ffmpeg.zip");
     const ffmpegUrl =
         "https://www.gyan.dev/ffmpeg/builds/packages/ffmpeg-7.0.2-essentials_build.zip";
@@ -669,122 +955,453 @@ async function downloadFFmpeg(destFolder) {
         const cand = path.join(destFolder, folder, "bin", "ffmpeg.exe");
         if (fs.existsSync(cand)) {
             fs.copyFileSync(cand, path.join(destFolder, "ffmpeg.exe"));
+            // ffprobe (analyse des vidéos) est livré dans la même archive
+            const probeCand = path.join(destFolder, folder, "bin", "ffprobe.exe");
+            if (fs.existsSync(probeCand)) fs.copyFileSync(probeCand, path.join(destFolder, "ffprobe.exe"));
             found = true;
             break;
         }
     }
     fs.unlinkSync(zipPath);
     if (!found) {
-        console.error("⛔ Could not find ffmpeg.exe after extraction.");
-        process.exit(1);
+        throw new CliError("Could not find ffmpeg.exe after extraction.", EXIT_CODES.DEPENDENCY);
     }
     console.log("✅ ffmpeg.exe successfully installed.\n");
 }
 
-(async () => {
-    const exeDir = process.pkg ? path.dirname(process.execPath) : process.cwd();
-    const ytDlp = path.join(exeDir, "yt-dlp.exe");
-    const ffmpeg = path.join(exeDir, "ffmpeg.exe");
-    const tempFile = path.join(exeDir, "video_temp.mp4");
-
-    let videoExists = fs.existsSync(tempFile) && fs.statSync(tempFile).size > 1000;
+async function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log(helpText());
+        return EXIT_CODES.OK;
+    }
+    // --yes: aucune question n'est posée, les valeurs non fournies prennent leur valeur par défaut
+    const interactive = !options.yes;
+
+    // Découpage des clips (validé avant tout téléchargement)
+    let layoutOptions = {
+        length: options.length,
+        segments: options.segments,
+        segmentDuration: options.segmentDuration,
+        gap: options.gap,
+        advance: options.advance,
+    };
+    let layout = resolveLayout(layoutOptions);
 
-    let youtubeURL;
-    if (!videoExists) {
-        youtubeURL = await ask("YouTube link: ");
+    const exeDir = process.pkg ? path.dirname(process.execPath) : process.cwd();
+    const config = loadConfig(exeDir, options.config);
+    const formatPolicy = resolveFormatPolicy(config.format, options);
+    const jobs = Number(options.jobs ?? config.jobs ?? 1);
+    if (!Number.isInteger(jobs) || jobs < 1) {
+        throw new CliError(`Nombre d'encodages simultanés invalide: ${options.jobs ?? config.jobs}.`, EXIT_CODES.USAGE);
+    }
+    const subtitleStyle = resolveSubtitleStyle(config, options.subtitleStyle);
+    const whisperSettings = resolveWhisperSettings(config.whisper, options, exeDir);
+    const subtitleOutputs = resolveSubtitleOutputs(options.subtitleOutput ?? config.subtitleOutput);
+    const reframeSettings = resolveReframeSettings(config.reframe, options, exeDir);
+    const canvas = resolveCanvas(options.canvas ?? config.canvas);
+    const composition = resolveCompositionSettings(config.composition, options);
+    const background = resolveBackgroundSettings(config.background, options, exeDir);
+    const overlays = resolveOverlaySettings(config.overlays, options, exeDir);
+    const workFile = path.join(exeDir, "video_temp.mp4");
+    // Simulation: analyse et planification seulement, les commandes sont affichées (ou écrites) au lieu d'être lancées
+    const dryRun = Boolean(options.dryRun || options.planFile);
+
+    // 📥 Sources: URL (tout site supporté par yt-dlp), fichier local ou dossier de vidéos
+    const videoExists = fs.existsSync(workFile) && fs.statSync(workFile).size > 1000;
+    let sources;
+    if (options.batch) {
+        sources = readSourceList(options.batch);
+    } else if (options.input) {
+        sources = resolveSources(options.input);
+    } else if (options.url) {
+        sources = [urlSource(options.url)];
+    } else if (!interactive) {
+        if (!videoExists) {
+            throw new CliError("Aucune vidéo source: utilisez --url ou --input.", EXIT_CODES.USAGE);
+        }
+        sources = [{ ...fileSource(workFile, false), title: null }];
+    } else if (!videoExists) {
+        sources = resolveSources(await ask("Video link or local file/folder: "));
     } else {
         const reuse = await ask("A video already exists. Reuse it? (y/n): ");
         if (reuse.toLowerCase() === "n") {
-            videoExists = false; // Indicates that there is no existing video to reuse
-            youtubeURL = await ask("YouTube link: ");
+            sources = resolveSources(await ask("Video link or local file/folder: "));
         } else {
             // Demander l'URL pour les sous-titres même si on réutilise la vidéo
-            youtubeURL = await ask("YouTube link (pour sous-titres, laisser vide pour ignorer): ");
-            if (!youtubeURL.trim()) youtubeURL = null;
+            const reusedSource = { ...fileSource(workFile, false), title: null };
+            const subtitlesURL = await ask("YouTube link (pour sous-titres, laisser vide pour ignorer): ");
+            if (subtitlesURL.trim()) reusedSource.url = subtitlesURL.trim();
+            sources = [reusedSource];
+        }
+    }
+    // 🔧 Localisation des binaires (variables d'environnement, configuration, dossier du programme, PATH)
+    let ytDlp = null;
+    if (sources.some(source => source.url)) {
+        const ytDlpBinary = resolveBinary("yt-dlp", { exeDir, config });
+        if (!ytDlpBinary) {
+            throw new CliError(`yt-dlp not found. Put ${platformName("yt-dlp")} next to the program, add it to PATH or set YTDLP_PATH.`, EXIT_CODES.DEPENDENCY);
         }
+        ytDlp = ytDlpBinary.path;
+        console.log(`🔧 yt-dlp ${probeYtDlpVersion(ytDlp)} (${ytDlpBinary.source}: ${ytDlp})`);
+
+        // Les playlists sont remplacées par la liste de leurs vidéos
+        sources = sources.flatMap(source => source.kind === "url" ? expandPlaylist(ytDlp, source) : [source]);
     }
 
-    const segmentDuration = 21; // Chaque segment fait 21 secondes
-    const gapBetweenSegments = 3; // 3 secondes entre chaque segment
-    const clipTotalDuration = segmentDuration * 3 + gapBetweenSegments * 2; // 21+3+21+3+21 = 69s par clip, mais on prend 63s pour la prochaine vidéo
-    const clipAdvance = 63; // Avance de 63s entre chaque clip (pas de gap entre vidéos)
+    // Chaque vidéo téléchargée a son propre fichier de travail dès qu'il y en a plusieurs, et un numéro
+    // qui préfixe son dossier de sortie (deux titres peuvent donner le même nom une fois nettoyés)
+    if (sources.length > 1) {
+        console.log(`\n📂 ${sources.length} vidéos à traiter.`);
+        sources.forEach((source, index) => {
+            source.number = String(index + 1).padStart(3, "0");
+            source.workFile = path.join(exeDir, "work", `video_${source.number}.mp4`);
+        });
+    } else if (sources.length === 1) {
+        sources[0].workFile = workFile;
+    } else {
+        throw new CliError("Aucune vidéo à traiter.", EXIT_CODES.INPUT);
+    }
 
-    if (!fs.existsSync(ytDlp)) {
-        console.error("⛔ yt-dlp.exe not found.");
-        process.exit(1);
+    let ffmpegBinary = resolveBinary("ffmpeg", { exeDir, config });
+    // Le téléchargement automatique ne concerne que Windows, et seulement si aucun chemin n'est imposé
+    const canDownloadFFmpeg = process.platform === "win32" && !process.env.FFMPEG_PATH && !config.ffmpegPath;
+    if (!ffmpegBinary && canDownloadFFmpeg) {
+        await downloadFFmpeg(exeDir);
+        ffmpegBinary = resolveBinary("ffmpeg", { exeDir, config });
+    }
+    if (!ffmpegBinary) {
+        throw new CliError("ffmpeg not found. Install it (e.g. apt install ffmpeg), add it to PATH or set FFMPEG_PATH.", EXIT_CODES.DEPENDENCY);
     }
-    if (!fs.existsSync(ffmpeg)) {
+    const ffmpeg = ffmpegBinary.path;
+    let ffprobeBinary = resolveBinary("ffprobe", { exeDir, config, siblingOf: ffmpeg });
+    // Installations Windows antérieures: seul ffmpeg.exe avait été extrait de l'archive
+    if (!ffprobeBinary && canDownloadFFmpeg && !process.env.FFPROBE_PATH && !config.ffprobePath) {
         await downloadFFmpeg(exeDir);
+        ffprobeBinary = resolveBinary("ffprobe", { exeDir, config, siblingOf: ffmpeg });
+    }
+    if (!ffprobeBinary) {
+        throw new CliError("ffprobe not found. It ships with ffmpeg: put it next to ffmpeg, add it to PATH or set FFPROBE_PATH.", EXIT_CODES.DEPENDENCY);
+    }
+    const ffprobe = ffprobeBinary.path;
+    const ffmpegCaps = probeFfmpegCapabilities(ffmpeg);
+    const yesNo = value => value ? "✅" : "❌";
+    console.log(`🔧 ffmpeg ${ffmpegCaps.version} (${ffmpegBinary.source}: ${ffmpeg}) — libx264 ${yesNo(ffmpegCaps.libx264)}, subtitles ${yesNo(ffmpegCaps.subtitles)}, ass ${yesNo(ffmpegCaps.ass)}`);
+    console.log(`🔧 ffprobe (${ffprobeBinary.source}: ${ffprobe})`);
+    if (!ffmpegCaps.libx264) {
+        throw new CliError("This ffmpeg build has no libx264 encoder, clips cannot be encoded.", EXIT_CODES.DEPENDENCY);
+    }
+    if (!ffmpegCaps.subtitles && subtitleOutputs.includes("burn")) {
+        console.warn("⚠️ Filtre subtitles absent (ffmpeg sans libass): les sous-titres ne seront pas incrustés.");
     }
 
-    // Download if needed
-    if (!videoExists) {
-        console.log("\n⬇️ Downloading video…");
-        if (fs.existsSync(tempFile)) fs.unlinkSync(tempFile);
-        let formatString = "609+234";
-        let downloadSuccess = false;
-        let tryCount = 0;
-        let separateDownload = false;
-        let videoFormat = "609"; // Default video format ID
-        let audioFormat = "234"; // Default audio format ID
-        while (!downloadSuccess && tryCount < 2) {
+    // Demander le mode vidéo: blur fill ou plein écran (crop centré), commun à toutes les vidéos
+    let videoMode;
+    if (options.mode) {
+        videoMode = options.mode;
+    } else if (!interactive) {
+        videoMode = "blur";
+    } else {
+        console.log("\n📐 Mode vidéo:");
+        console.log("   1. Fond flou (blur) - la vidéo est centrée avec un fond flou");
+        console.log("   2. Plein écran (crop) - la vidéo est centrée et recadrée (on perd les bords)");
+        console.log("   3. Empilé (stack) - la vidéo en haut, une vidéo de remplissage en bas");
+        console.log("   4. Incrustation (pip) - la vidéo recadrée, une vidéo de remplissage dans un coin");
+        console.log("   5. Deux intervenants (split) - deux cadrages de la vidéo empilés");
+        const videoModeChoice = await ask("Choisir le mode (1 à 5, défaut 1): ");
+        videoMode = VIDEO_MODES[Number(videoModeChoice.trim()) - 1] || "blur";
+    }
+    // Vidéos de remplissage (stack, pip), vérifiées avant tout téléchargement
+    let fillers = [];
+    if (FILLER_MODES.includes(videoMode)) {
+        if (!composition.filler && interactive) {
+            composition.filler = (await ask("Vidéo ou dossier de vidéos de remplissage: ")).trim();
+        }
+        if (!composition.filler) {
+            throw new CliError(`Le mode ${videoMode} demande une vidéo de remplissage (--filler ou "composition.filler" dans la configuration).`, EXIT_CODES.USAGE);
+        }
+        fillers = listFillers(composition.filler);
+        console.log(`🎞️ Remplissage: ${fillers.length} vidéo(s) (${composition.filler})`);
+    }
+    if (background.style !== "blur" && videoMode !== "blur") {
+        console.warn("⚠️ --background ne concerne que le mode blur.");
+    }
+    if (reframeSettings.mode === "subject" && !TRACKING_MODES.includes(videoMode)) {
+        console.warn("⚠️ --reframe subject ne concerne que les modes crop et pip (et les vidéos déjà verticales en mode blur).");
+    }
+
+    // Durée des clips: demandée en mode interactif si aucune option de découpage n'est fournie
+    const hasLayoutOption = Object.values(layoutOptions).some(v => v !== undefined);
+    if (interactive && !hasLayoutOption && !options.ranges) {
+        const lengthChoice = await ask("Durée des clips (15s, 30s, 1m, 90s, 3m, défaut 1m): ");
+        if (lengthChoice.trim()) {
+            layoutOptions = { ...layoutOptions, length: lengthChoice.trim() };
+            layout = resolveLayout(layoutOptions);
+        }
+    }
+
+    const context = {
+        options,
+        interactive,
+        // Plages, début et fin sont propres à chaque vidéo: demandés seulement s'il n'y en a qu'une
+        askPerVideo: interactive && sources.length === 1,
+        multipleSources: sources.length > 1,
+        exeDir,
+        ytDlp,
+        ffmpeg,
+        ffprobe,
+        ffmpegCaps,
+        formatPolicy,
+        jobs,
+        subtitleStyle,
+        whisper: whisperSettings,
+        subtitleOutputs,
+        layout,
+        videoMode,
+        composition,
+        fillers,
+        background,
+        overlays,
+        canvas,
+        reframe: reframeSettings,
+        dryRun,
+    };
+
+    let exitCode;
+    const plans = [];
+    if (sources.length === 1) {
+        // Une seule vidéo: ses erreurs remontent telles quelles (code de sortie précis)
+        const result = await processVideo(sources[0], context);
+        if (result.plan) plans.push(result.plan);
+        exitCode = result.exitCode;
+    } else {
+        // Lot: une vidéo en échec n'interrompt pas les suivantes
+        const results = [];
+        for (const [index, source] of sources.entries()) {
+            console.log("\n" + "#".repeat(50));
+            console.log(`🎞️ VIDÉO ${index + 1}/${sources.length}: ${source.title || source.location}`);
+            console.log("#".repeat(50));
             try {
-                execSync(
-                    `"${ytDlp}" --no-continue --no-part --force-overwrites -f "${formatString}" -o "${tempFile}" "${youtubeURL}"`,
-                    { stdio: "inherit" }
-                );
-                downloadSuccess = true;
-            } catch {
-                tryCount++;
-                console.error("⛔ Download error. Requested format not available.");
-                // Show available formats
-                console.log("\nAvailable formats list:\n");
-                try {
-                    execSync(`"${ytDlp}" --list-formats "${youtubeURL}"`, { stdio: "inherit" });
-                } catch {
-                    console.error("Could not get format list.");
-                    process.exit(1);
-                }
-                // Ask user for separate video and audio formats
-                videoFormat = await ask("Video format code (e.g. 232): ");
-                audioFormat = await ask("Audio format code (e.g. 233-1): ");
-                if (!videoFormat || !audioFormat) {
-                    console.error("⛔ No format entered.");
-                    process.exit(1);
-                }
-                separateDownload = true;
-                break;
+                const result = await processVideo(source, context);
+                if (result.plan) plans.push(result.plan);
+                results.push({ source, ...result });
+            } catch (err) {
+                console.error(`⛔ ${err.message}`);
+                results.push({ source, exitCode: err instanceof CliError ? err.exitCode : EXIT_CODES.ERROR, error: err.message });
             }
         }
-        if (!downloadSuccess && separateDownload) {
-            // Separate video and audio download
-            const tempVideo = path.join(exeDir, "video_temp_onlyvideo.mp4");
-            const tempAudio = path.join(exeDir, "video_temp_onlyaudio.m4a");
-            try {
-                execSync(`"${ytDlp}" --no-continue --no-part --force-overwrites -f "${videoFormat}" -o "${tempVideo}" "${youtubeURL}"`, { stdio: "inherit" });
-                execSync(`"${ytDlp}" --no-continue --no-part --force-overwrites -f "${audioFormat}" -o "${tempAudio}" "${youtubeURL}"`, { stdio: "inherit" });
-            } catch {
-                console.error("⛔ Error during separate video or audio download.");
-                process.exit(1);
+        printBatchSummary(results);
+
+        // Le dossier des fichiers de travail est retiré s'il ne reste rien dedans
+        const workDir = path.join(exeDir, "work");
+        if (fs.existsSync(workDir) && fs.readdirSync(workDir).length === 0) {
+            fs.rmdirSync(workDir);
+        }
+        exitCode = results.every(r => r.exitCode === EXIT_CODES.OK) ? EXIT_CODES.OK : EXIT_CODES.BATCH_PARTIAL;
+    }
+
+    if (options.planFile) {
+        console.log(`\n📄 Plan écrit dans: ${writePlan(options.planFile, plans)}`);
+    }
+
+    if (interactive) {
+        await ask("Appuyez sur Entrée pour quitter...");
+    }
+    return exitCode;
+}
+
+/**
+ * Affiche le bilan d'un traitement par lot
+ * @param {Array} results - [{ source, exitCode, outputDir, createdCount, failedClips, error, plan }, ...]
+ */
+function printBatchSummary(results) {
+    const exitCodeNames = Object.fromEntries(Object.entries(EXIT_CODES).map(([name, code]) => [code, name]));
+    const succeeded = results.filter(r => r.exitCode === EXIT_CODES.OK);
+
+    console.log("\n" + "=".repeat(50));
+    console.log("📊 BILAN DU LOT");
+    console.log("=".repeat(50));
+    results.forEach((result, index) => {
+        const name = result.source.title || result.source.location;
+        if (result.exitCode === EXIT_CODES.OK) {
+            const count = result.plan ? `${result.plan.clips.length} clip(s) planifié(s)` : `${result.createdCount} clip(s)`;
+            console.log(`   ✅ ${index + 1}. ${name}: ${count} → ${result.outputDir}`);
+        } else {
+            const detail = result.error || (result.failedClips && result.failedClips.length > 0
+                ? `${result.failedClips.length} clip(s) en échec`
+                : exitCodeNames[result.exitCode]);
+            console.log(`   ⛔ ${index + 1}. ${name}: ${detail}`);
+        }
+    });
+    console.log(`\n${succeeded.length}/${results.length} vidéo(s) traitée(s) avec succès.`);
+}
+
+/**
+ * Découpe une vidéo source en clips (téléchargement éventuel, planification, encodage, sous-titres)
+ * @param {object} source - Source vidéo (voir lib/sources.js)
+ * @param {object} context - Réglages communs à toutes les vidéos (options, binaires, découpage, mode)
+ * @returns {Promise<object>} - { exitCode, outputDir, createdCount, failedClips, plan (simulation) } pour cette vidéo
+ */
+async function processVideo(source, context) {
+    const { options, interactive, askPerVideo, exeDir, ytDlp, ffmpeg, ffprobe, ffmpegCaps, jobs, layout, videoMode, composition, fillers, background, overlays, canvas, dryRun } = context;
+    // Copie par vidéo: la détection de personnes indisponible ne bascule que cette vidéo sur le mouvement
+    const reframe = { ...context.reframe };
+    // Copie par vidéo: la langue détectée automatiquement ne vaut que pour cette vidéo
+    const whisper = { ...context.whisper };
+    // Transcription de la source faite au plus une fois par vidéo (score de parole, sous-titres)
+    let sourceWords;
+    const getSourceWords = async () => {
+        if (sourceWords === undefined) {
+            if (dryRun) {
+                // Simulation: seule une transcription déjà en cache est utilisée
+                const cached = fs.existsSync(tempFile) ? loadTranscript(tempFile, whisper) : null;
+                if (cached) whisper.language = cached.language;
+                sourceWords = cached ? cached.words : null;
+            } else {
+                sourceWords = await transcribeSource(tempFile, outputDir, ffmpeg, whisper);
             }
-            // Merge video and audio with ffmpeg
-            try {
-                execSync(`"${ffmpeg}" -y -i "${tempVideo}" -i "${tempAudio}" -c:v copy -c:a aac -b:a 128k "${tempFile}"`, { stdio: "inherit" });
-                fs.unlinkSync(tempVideo);
-                fs.unlinkSync(tempAudio);
-                downloadSuccess = true;
-            } catch {
-                console.error("⛔ Error merging video+audio with ffmpeg.");
-                process.exit(1);
+        }
+        return sourceWords;
+    };
+    const verbose = Boolean(options.verbose);
+    if (source.kind === "invalid") {
+        throw new CliError(source.error, EXIT_CODES.INPUT);
+    }
+    const youtubeURL = source.url;
+    const tempFile = source.kind === "url" ? source.workFile : source.location;
+    const videoExists = source.kind === "file";
+
+    // Dossier de sortie (--output-dir, sinon nommé d'après le titre et la date)
+    const downloadDate = new Date().toISOString().split('T')[0];
+    let videoTitle = source.title || "video";
+    if (youtubeURL && !source.title && (!options.outputDir || context.multipleSources || usesSourceTitle(overlays))) {
+        try {
+            const metadata = execSync(`"${ytDlp}" --get-title "${youtubeURL}"`, { encoding: "utf-8" });
+            videoTitle = metadata.trim();
+        } catch {
+            console.warn("⚠️ Could not retrieve video title. Using default name.");
+        }
+    }
+    // Titre tel quel pour les textes incrustés ({title}), nettoyé pour le nom du dossier
+    const sourceTitle = videoTitle;
+    videoTitle = videoTitle.replace(/[^a-zA-Z0-9-_ ]/g, "_").replace(/\s+/g, "_");
+    const folderName = context.multipleSources ? `${source.number}_${videoTitle}` : videoTitle;
+    // Avec plusieurs vidéos, --output-dir contient un sous-dossier par vidéo
+    let outputDir;
+    if (options.outputDir) {
+        outputDir = context.multipleSources
+            ? path.join(path.resolve(options.outputDir), folderName)
+            : path.resolve(options.outputDir);
+    } else {
+        outputDir = path.join(exeDir, `output_${folderName}_${downloadDate}`);
+    }
+
+    // 📒 Reprise d'un traitement interrompu: le manifeste du dossier de sortie décrit le plan et l'état des clips
+    const jobSettings = {
+        mode: videoMode,
+        layout,
+        ranges: options.ranges ?? null,
+        start: options.start ?? null,
+        end: options.end ?? null,
+        highlights: options.highlights ?? null,
+        signals: options.signals ?? null,
+        snap: options.snap ?? null,
+        snapTolerance: options.snapTolerance ?? null,
+        // Dimensions seules: "9:16" et "1080x1920" donnent les mêmes clips
+        canvas: `${canvas.width}x${canvas.height}`,
+        // Réglages des compositions et vidéos de remplissage trouvées, pour les seuls modes qui s'en servent
+        composition: videoMode === "blur" || videoMode === "crop" ? null : { ...composition, fillers },
+        background: videoMode === "blur" ? background : null,
+        overlays,
+        subtitleOutputs: context.subtitleOutputs,
+        captions: options.captions || "karaoke",
+        subtitleStyle: context.subtitleStyle,
+        // Le dossier du cache et le mode hors ligne ne changent pas le cadrage
+        reframe: { ...context.reframe, cacheDir: undefined, offline: undefined },
+    };
+    let manifest = null;
+    const previousManifest = options.restart ? null : loadManifest(outputDir);
+    if (previousManifest) {
+        if (isSameJob(previousManifest, source, jobSettings)) {
+            const total = previousManifest.clips.length;
+            const remaining = pendingClips(previousManifest, outputDir).length;
+            console.log(`\n📒 Traitement précédent trouvé: ${total - remaining}/${total} clip(s) déjà créé(s).`);
+            if (remaining === 0) {
+                console.log(`✅ Rien à faire, les clips sont dans: ${outputDir}`);
+                return { exitCode: EXIT_CODES.OK, outputDir, createdCount: total, failedClips: [] };
+            }
+            let resume = true;
+            if (askPerVideo) {
+                const answer = await ask("Reprendre là où il s'était arrêté ? (o/n, défaut o): ");
+                resume = !["n", "non", "no"].includes(answer.trim().toLowerCase());
             }
+            if (resume) manifest = previousManifest;
+        } else {
+            console.warn("⚠️ Ce dossier contient un traitement avec d'autres réglages: tous les clips seront recréés.");
+        }
+    }
+
+    // En reprise, la vidéo déjà téléchargée est réutilisée si elle est intacte
+    const reuseDownload = manifest !== null && fs.existsSync(tempFile) && fs.statSync(tempFile).size === manifest.sourceSize;
+
+    // Download if needed
+    let downloadInfo = null;
+    // Simulation: la vidéo n'est pas téléchargée, yt-dlp décrit le format qui serait choisi
+    let plannedDownload = null;
+    let remoteMedia = null;
+    if (!videoExists && !reuseDownload && dryRun) {
+        const formatSelector = buildFormatSelector(context.formatPolicy);
+        plannedDownload = {
+            file: tempFile,
+            command: `"${ytDlp}" --no-continue --no-part --force-overwrites --no-playlist ` +
+                `-f "${formatSelector}" --merge-output-format mp4 --ffmpeg-location "${ffmpeg}" -o "${tempFile}" "${youtubeURL}"`,
+        };
+        console.log(`\n⬇️ Video not downloaded (dry run). Format: ${formatSelector}`);
+        try {
+            remoteMedia = parseRemoteMedia(execSync(
+                `"${ytDlp}" --no-playlist --skip-download -f "${formatSelector}" --print "${REMOTE_MEDIA_TEMPLATE}" "${youtubeURL}"`,
+                { encoding: "utf-8", stdio: ["ignore", "pipe", "inherit"] }
+            ));
+        } catch {
+            remoteMedia = null;
+        }
+        if (!remoteMedia) {
+            throw new CliError("Could not read the video format. Check the link and that yt-dlp works.", EXIT_CODES.DOWNLOAD);
+        }
+    } else if (!videoExists && !reuseDownload) {
+        const formatSelector = buildFormatSelector(context.formatPolicy);
+        console.log("\n⬇️ Downloading video…");
+        console.log(`   Format: ${formatSelector}`);
+        fs.mkdirSync(path.dirname(tempFile), { recursive: true });
+        if (fs.existsSync(tempFile)) fs.unlinkSync(tempFile);
+
+        // --print rend yt-dlp silencieux: --progress garde la progression (sur stderr)
+        let printed;
+        try {
+            printed = execSync(
+                `"${ytDlp}" --no-continue --no-part --force-overwrites --no-playlist --progress ` +
+                `-f "${formatSelector}" --merge-output-format mp4 --ffmpeg-location "${ffmpeg}" ` +
+                `--no-simulate --print "${FORMAT_PRINT_TEMPLATE}" -o "${tempFile}" "${youtubeURL}"`,
+                { encoding: "utf-8", stdio: ["ignore", "pipe", "inherit"] }
+            );
+        } catch {
+            throw new CliError("Download error. Check the link and that yt-dlp works.", EXIT_CODES.DOWNLOAD);
         }
-        if (!downloadSuccess) {
-            console.error("⛔ Download error. Check that yt-dlp.exe works.");
-            process.exit(1);
+        if (!fs.existsSync(tempFile)) {
+            throw new CliError("Download error: yt-dlp did not produce the video file.", EXIT_CODES.DOWNLOAD);
+        }
+
+        const chosenFormat = parseChosenFormat(printed);
+        downloadInfo = { url: youtubeURL, selector: formatSelector, format: chosenFormat, downloadedAt: new Date().toISOString() };
+        if (chosenFormat) {
+            console.log(`✅ Video downloaded: format ${chosenFormat.formatId} (${chosenFormat.width}x${chosenFormat.height}, ${chosenFormat.vcodec} + ${chosenFormat.acodec}).`);
+        } else {
+            console.log("✅ Video downloaded.");
         }
-        console.log("✅ Video downloaded and merged.");
+    } else if (source.owned) {
+        console.log(`✅ Using ${tempFile}`);
     } else {
-        console.log("✅ Reusing video_temp.mp4");
+        console.log(`✅ Reusing ${path.basename(tempFile)}`);
     }
 
     // The video will be processed at normal speed, no acceleration
@@ -800,21 +1417,14 @@ async function downloadFFmpeg(destFolder) {
     const watermarkFile = path.join(exeDir, 'watermark.png');
     const hasWatermarkFile = false;
 
-    // Créer le dossier de sortie
-    const downloadDate = new Date().toISOString().split('T')[0];
-    let videoTitle = "video";
-    if (youtubeURL) {
-        try {
-            const metadata = execSync(`"${ytDlp}" --get-title "${youtubeURL}"`, { encoding: "utf-8" });
-            videoTitle = metadata.trim().replace(/[^a-zA-Z0-9-_ ]/g, "_");
-        } catch {
-            console.warn("⚠️ Could not retrieve video title. Using default name.");
-        }
+    // Simulation: rien n'est écrit dans le dossier de sortie
+    if (!dryRun && !fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
     }
-    videoTitle = 'output_' + videoTitle.replace(/\s+/g, "_");
-    const outputDir = path.join(exeDir, `${videoTitle}_${downloadDate}`);
-    if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir);
+
+    // Garder la trace du format réellement téléchargé
+    if (downloadInfo) {
+        fs.writeFileSync(path.join(outputDir, "download.json"), JSON.stringify(downloadInfo, null, 2));
     }
 
     // 📝 Télécharger les sous-titres YouTube une seule fois
@@ -823,129 +1433,252 @@ async function downloadFFmpeg(destFolder) {
         youtubeSrtFile = downloadYoutubeSubtitles(youtubeURL, outputDir, ytDlp);
     }
 
-    // 📋 PHASE 1: GÉNÉRATION AUTOMATIQUE DES CLIPS
-    console.log("\n" + "=".repeat(50));
-    console.log("📋 PHASE 1: GÉNÉRATION AUTOMATIQUE DES CLIPS");
-    console.log("=".repeat(50));
-
-    // Obtenir la durée totale de la vidéo
-    let videoDuration = 0;
-    try {
-        const durationOutput = execSync(
-            `"${ffmpeg}" -i "${tempFile}" 2>&1`,
-            { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }
-        ).toString();
-        const durationMatch = durationOutput.match(/Duration: (\d{2}):(\d{2}):(\d{2})/);
-        if (durationMatch) {
-            videoDuration = parseInt(durationMatch[1]) * 3600 + parseInt(durationMatch[2]) * 60 + parseInt(durationMatch[3]);
-        }
-    } catch (err) {
-        // ffmpeg retourne une erreur mais affiche quand même la durée
-        const output = err.stderr ? err.stderr.toString() : err.stdout ? err.stdout.toString() : '';
-        const durationMatch = output.match(/Duration: (\d{2}):(\d{2}):(\d{2})/);
-        if (durationMatch) {
-            videoDuration = parseInt(durationMatch[1]) * 3600 + parseInt(durationMatch[2]) * 60 + parseInt(durationMatch[3]);
-        }
+    // 📊 Caractéristiques de la vidéo (ffprobe): durée exacte, dimensions, piste audio
+    const media = remoteMedia || probeMedia(ffprobe, tempFile);
+    const videoDuration = media.duration;
+    if (!(videoDuration > 0)) {
+        throw new CliError("Impossible de déterminer la durée de la vidéo.", EXIT_CODES.INPUT);
     }
+    console.log(`\n📊 Vidéo: ${formatTime(Math.round(videoDuration))} (${+videoDuration.toFixed(2)}s), ${describeMedia(media)}`);
 
-    if (videoDuration === 0) {
-        console.error("⛔ Impossible de déterminer la durée de la vidéo.");
-        process.exit(1);
+    // Source au format du canevas ou plus étroite: le fond flou serait caché, le recadrage ne perd rien
+    let mode = videoMode;
+    if (mode === "blur" && media.displayWidth / media.displayHeight <= (canvas.width / canvas.height) * 1.02) {
+        console.log(`📱 Vidéo déjà au format ${describeCanvas(canvas)} ou plus étroite: mode recadrage utilisé à la place du fond flou.`);
+        mode = "crop";
+    }
+    const blurFill = mode === "blur";
+    const modeLabels = { blur: "fond flou", crop: "recadrage", stack: "empilé", pip: "incrustation", split: "deux intervenants" };
+    console.log(`🖼️ Clips ${describeCanvas(canvas)}, ${modeLabels[mode]}.`);
+    if (!media.hasAudio) {
+        console.log("🔇 Aucune piste audio: filtres audio, volume, parole et sous-titres ignorés.");
     }
 
-    const videoDurationMin = Math.floor(videoDuration / 60);
-    const videoDurationSec = videoDuration % 60;
-    console.log(`\n📊 Durée de la vidéo: ${videoDurationMin}:${videoDurationSec.toString().padStart(2, '0')} (${videoDuration}s)`);
+    if (!manifest) {
+        // 📋 PHASE 1: GÉNÉRATION AUTOMATIQUE DES CLIPS
+        console.log("\n" + "=".repeat(50));
+        console.log("📋 PHASE 1: GÉNÉRATION AUTOMATIQUE DES CLIPS");
+        console.log("=".repeat(50));
+
+        // Plages explicites (--ranges): remplacent le découpage automatique
+        let rangeGroups = options.ranges ? parseRanges(options.ranges) : null;
+        if (!rangeGroups && askPerVideo && options.start === undefined && options.end === undefined) {
+            const rangesInput = await ask("\nPlages personnalisées (ex: 1:30-2:10, 5:00-5:45, vide = découpage automatique): ");
+            if (rangesInput.trim()) {
+                rangeGroups = parseRanges(rangesInput);
+                if (!rangeGroups) {
+                    throw new CliError(`Plages invalides: "${rangesInput.trim()}".`, EXIT_CODES.USAGE);
+                }
+            }
+        }
 
-    // Demander le timecode de départ
-    const startTimecode = await ask("\nTimecode de départ (ex: 1:30, défaut 0:00): ");
-    let currentPosition = startTimecode.trim() ? toSeconds(startTimecode.trim()) : 0;
+        let startPosition = 0;
+        let endPosition = videoDuration;
+        if (!rangeGroups) {
+            // Demander le timecode de départ
+            let startTimecode = options.start;
+            if (startTimecode === undefined) {
+                startTimecode = askPerVideo ? await ask("\nTimecode de départ (ex: 1:30, défaut 0:00): ") : "";
+            }
+            startPosition = readTimecodeAnswer(startTimecode, "de départ") ?? 0;
+            if (startPosition >= videoDuration) {
+                throw new CliError(`Le timecode de départ (${formatTime(startPosition)}) dépasse la durée de la vidéo.`, EXIT_CODES.USAGE);
+            }
 
-    // Demander le mode vidéo: blur fill ou plein écran (crop centré)
-    console.log("\n📐 Mode vidéo:");
-    console.log("   1. Fond flou (blur) - la vidéo est centrée avec un fond flou");
-    console.log("   2. Plein écran (crop) - la vidéo est centrée et recadrée (on perd les bords)");
-    const videoModeChoice = await ask("Choisir le mode (1 ou 2, défaut 1): ");
-    const useBlurFill = videoModeChoice.trim() !== "2";
+            // Demander le timecode de fin
+            let endTimecode = options.end;
+            if (endTimecode === undefined) {
+                endTimecode = askPerVideo ? await ask("Timecode de fin (ex: 5:00, défaut fin de la vidéo): ") : "";
+            }
+            const endAnswer = readTimecodeAnswer(endTimecode, "de fin");
+            if (endAnswer !== null) {
+                endPosition = endAnswer;
+                if (endPosition > videoDuration) {
+                    console.warn(`⚠️ Timecode de fin au-delà de la vidéo, limité à ${formatTime(videoDuration)}.`);
+                    endPosition = videoDuration;
+                }
+            }
+            if (endPosition <= startPosition) {
+                throw new CliError("Le timecode de fin doit être après le timecode de départ.", EXIT_CODES.USAGE);
+            }
+        }
 
-    // Générer automatiquement tous les clips
-    // Structure d'un clip: segment1(21s) + gap(3s) + segment2(21s) + gap(3s) + segment3(21s) = 69s de vidéo source
-    // Mais on avance de 63s pour le prochain clip (les 3 segments de 21s)
-    const allClipsData = [];
-    let clipNum = 0;
+        let allClipsData;
+        if (rangeGroups) {
+            // Un clip par groupe de plages, sans découpage automatique
+            allClipsData = planClipsFromRanges(rangeGroups, videoDuration);
+            console.log("\n✂️ Découpage: plages personnalisées");
+        } else {
+            console.log(`\n✂️ Découpage: ${describeLayout(layout)}`);
 
-    while (currentPosition + clipAdvance <= videoDuration) {
-        clipNum++;
+            // Générer automatiquement tous les clips
+            // Structure d'un clip: segment + trou + segment + ... (les trous sont sautés dans la source)
+            allClipsData = planClips(layout, startPosition, endPosition);
+        }
 
-        // Calculer les 3 segments pour ce clip
-        // Segment 1: currentPosition → currentPosition + 21s
-        // Segment 2: currentPosition + 21s + 3s → currentPosition + 21s + 3s + 21s
-        // Segment 3: currentPosition + 21s + 3s + 21s + 3s → currentPosition + 21s + 3s + 21s + 3s + 21s
-        const seg1Start = currentPosition;
-        const seg2Start = currentPosition + segmentDuration + gapBetweenSegments; // +21s +3s
-        const seg3Start = currentPosition + (segmentDuration + gapBetweenSegments) * 2; // +21s +3s +21s +3s
+        // Simulation d'une vidéo non téléchargée: les analyses qui la lisent sont impossibles
+        if (remoteMedia && (options.highlights || options.snap)) {
+            console.warn("⚠️ Simulation sans téléchargement: --highlights et --snap sont ignorés (vidéo non analysée).");
+        }
+        const canAnalyze = !remoteMedia;
+
+        // Changements de plan: détectés au plus une fois, partagés entre --highlights et --snap
+        let sceneTimes = null;
+        const getSceneTimes = () => {
+            if (!sceneTimes) {
+                console.log("🎞️ Détection des changements de plan...");
+                sceneTimes = detectSceneChanges(ffmpeg, tempFile);
+                console.log(`✅ ${sceneTimes.length} changement(s) de plan trouvé(s).`);
+            }
+            return sceneTimes;
+        };
+
+        // Meilleurs passages (--highlights N): score des candidats puis sélection des N meilleurs
+        if (options.highlights && canAnalyze && allClipsData.length > 0) {
+            const highlightCount = parseInt(options.highlights, 10);
+            const signalNames = options.signals ? options.signals.split(",").map(s => s.trim()) : SIGNALS;
+
+            // Sans plages explicites, les candidats se chevauchent pour ne pas rater un bon passage
+            let candidates = allClipsData;
+            if (!rangeGroups && options.advance === undefined) {
+                const candidateStep = Math.max(5, layout.sourceSpan / 4);
+                candidates = planClips({ ...layout, clipAdvance: candidateStep }, startPosition, endPosition);
+            }
 
-        const expandedRanges = [
-            { start: seg1Start, end: seg1Start + segmentDuration },
-            { start: seg2Start, end: seg2Start + segmentDuration },
-            { start: seg3Start, end: seg3Start + segmentDuration }
-        ];
+            console.log(`\n🏆 Recherche des ${highlightCount} meilleurs passages parmi ${candidates.length} candidats...`);
+            const signals = {};
+            if (signalNames.includes("loudness") && media.hasAudio) {
+                console.log("🔊 Mesure du volume sonore...");
+                signals.loudness = measureLoudness(ffmpeg, tempFile);
+            }
+            if (signalNames.includes("scenes")) {
+                signals.scenes = getSceneTimes();
+            }
+            if (signalNames.includes("speech") && media.hasAudio) {
+                signals.speech = await getSourceWords();
+                if (!signals.speech) {
+                    console.warn("⚠️ Transcription indisponible: la densité de parole est ignorée.");
+                }
+            }
 
-        // Vérifier que le dernier segment ne dépasse pas la durée
-        if (expandedRanges[2].end > videoDuration) {
-            break;
+            allClipsData = selectTopClips(scoreClips(candidates, signals), highlightCount);
         }
 
-        allClipsData.push({ clipNumber: clipNum, ranges: expandedRanges });
+        // Ajustement des coupes sur les changements de plan / pauses (--snap)
+        if (options.snap && canAnalyze && allClipsData.length > 0) {
+            const snapTolerance = options.snapTolerance !== undefined ? Number(options.snapTolerance) : 1.5;
+            console.log(`\n🧲 Ajustement des coupes (${options.snap}, ±${snapTolerance}s)...`);
+            const needsScenes = options.snap === "scene" || options.snap === "both";
+            const cutPoints = findCutPoints(ffmpeg, tempFile, options.snap, needsScenes ? getSceneTimes() : null);
+            allClipsData = snapClips(allClipsData, cutPoints, { tolerance: snapTolerance, videoDuration });
+        }
 
-        // Avancer de 63s pour le prochain clip
-        currentPosition += clipAdvance;
-    }
+        // Afficher le récapitulatif
+        console.log(`\n✅ ${allClipsData.length} clip(s) seront générés:\n`);
+        allClipsData.forEach(clip => {
+            const ranges = clip.ranges.map(r => `${formatTime(r.start)}-${formatTime(r.end)}`).join(" | ");
+            const score = clip.score !== undefined ? `  ⭐ ${clip.score.toFixed(2)} (${describeSignals(clip.signals)})` : "";
+            console.log(`   Clip #${clip.clipNumber}: ${ranges}${score}`);
+        });
 
-    // Afficher le récapitulatif
-    console.log(`\n✅ ${allClipsData.length} clip(s) seront générés:\n`);
-    allClipsData.forEach(clip => {
-        const r = clip.ranges;
-        const formatTime = (s) => `${Math.floor(s / 60)}:${(s % 60).toString().padStart(2, '0')}`;
-        console.log(`   Clip #${clip.clipNumber}: ${formatTime(r[0].start)}-${formatTime(r[0].end)} | ${formatTime(r[1].start)}-${formatTime(r[1].end)} | ${formatTime(r[2].start)}-${formatTime(r[2].end)}`);
-    });
+        if (allClipsData.length === 0) {
+            console.log("⚠️ Aucun clip à générer (vidéo trop courte ou plage start-end trop courte).");
+            return { exitCode: EXIT_CODES.NO_CLIPS, outputDir };
+        }
 
-    if (allClipsData.length === 0) {
-        console.log("⚠️ Aucun clip à générer (vidéo trop courte ou timecode de départ trop avancé).");
-        rl.close();
-        process.exit(0);
-    }
+        if (interactive && !dryRun) {
+            const confirm = await ask(`\n▶️ Lancer la génération de ${allClipsData.length} clip(s) ? (o/n): `);
+            if (confirm.toLowerCase() !== "o" && confirm.toLowerCase() !== "oui" && confirm.toLowerCase() !== "y") {
+                console.log("❌ Génération annulée.");
+                return { exitCode: EXIT_CODES.CANCELLED, outputDir };
+            }
+        }
 
-    const confirm = await ask(`\n▶️ Lancer la génération de ${allClipsData.length} clip(s) ? (o/n): `);
-    if (confirm.toLowerCase() !== "o" && confirm.toLowerCase() !== "oui" && confirm.toLowerCase() !== "y") {
-        console.log("❌ Génération annulée.");
-        rl.close();
-        process.exit(0);
+        manifest = createManifest(source, jobSettings, allClipsData);
+        if (!dryRun) {
+            if (!videoExists) manifest.sourceSize = fs.statSync(tempFile).size;
+            saveManifest(outputDir, manifest);
+        }
+    } else {
+        const remainingClips = manifest.clips.filter(clip => clip.status !== "done");
+        console.log(`\n▶️ Reprise: ${remainingClips.length} clip(s) restant(s): #${remainingClips.map(clip => clip.clipNumber).join(", #")}`);
     }
 
+    const clipsToCreate = manifest.clips.filter(clip => clip.status !== "done");
+
     // 🎬 PHASE 2: CRÉATION DE TOUS LES CLIPS
     console.log("\n" + "=".repeat(50));
-    console.log(`🎬 PHASE 2: CRÉATION DE ${allClipsData.length} CLIP(S)`);
+    console.log(dryRun
+        ? `🧪 SIMULATION: PLAN DE ${clipsToCreate.length} CLIP(S), RIEN N'EST ENCODÉ`
+        : `🎬 PHASE 2: CRÉATION DE ${clipsToCreate.length} CLIP(S)`);
     console.log("=".repeat(50));
 
-    for (const clipData of allClipsData) {
-        const { clipNumber, ranges: expandedRanges } = clipData;
-
-        console.log(`\n${"─".repeat(40)}`);
-        console.log(`📹 Création du clip #${clipNumber}/${allClipsData.length}`);
-        console.log(`${"─".repeat(40)}`);
-
-        console.log("\n🎭 MODE ANTI-DÉTECTION ACTIVÉ - Effets UNIQUES");
+    console.log("\n🎭 MODE ANTI-DÉTECTION ACTIVÉ - Effets UNIQUES");
+    if (jobs > 1) {
+        console.log(`⚡ ${jobs} encodages simultanés.`);
+    }
+    // Sans --verbose, les logs ffmpeg sont remplacés par un affichage compact de la progression (commandes du plan: logs bruts)
+    const ffmpegLogArgs = verbose || dryRun ? "" : `${FFMPEG_PROGRESS_ARGS} `;
+
+    // 🎯 Recadrage qui suit le sujet: chaque segment est analysé avant l'encodage (chemin du cadre par segment)
+    const cropPaths = new Map();
+    if (reframe.mode === "subject" && TRACKING_MODES.includes(mode)) {
+        if (remoteMedia) {
+            console.warn("⚠️ Simulation sans téléchargement: recadrage centré (vidéo non analysée).");
+        } else {
+            const segmentsToAnalyse = clipsToCreate.flatMap(({ clipNumber, ranges }) =>
+                ranges.map((range, i) => ({ clipNumber, segmentNumber: i + 1, range })).filter(({ range }) => range.end > range.start));
+            console.log(`\n🎯 Analyse du cadrage de ${segmentsToAnalyse.length} segment(s)...`);
+            for (const { clipNumber, segmentNumber, range } of segmentsToAnalyse) {
+                try {
+                    const { path: cropPath, detector } = await analyseCropPath(ffmpeg, tempFile, range, media, reframe, canvas);
+                    cropPaths.set(`${clipNumber}_${segmentNumber}`, cropPath);
+                    const description = cropPath.length > 0
+                        ? `${detector === "person" ? "personnes" : "mouvement"}, ${cropPath.length} point(s)`
+                        : "aucun sujet trouvé, cadre centré";
+                    console.log(`   Clip #${clipNumber} segment #${segmentNumber}: ${description}`);
+                } catch (err) {
+                    console.warn(`⚠️ Clip #${clipNumber} segment #${segmentNumber}: analyse impossible (${err.message}), cadre centré.`);
+                }
+            }
+        }
+    }
 
-        // Stocker les chemins des segments temporaires pour la concaténation
-        const tempSegmentFiles = [];
+    // Fond image ou vidéo du mode blur (entrée à part de ffmpeg)
+    const backgroundFile = mode === "blur" ? backgroundInputFile(background) : null;
+    // Durée des vidéos en boucle: chaque segment reprend la vidéo là où le précédent s'est arrêté
+    const loopDurations = new Map();
+    const loopDuration = file => {
+        if (!loopDurations.has(file)) {
+            let duration = 0;
+            try {
+                duration = probeMedia(ffprobe, file).duration || 0;
+            } catch (err) {
+                console.warn(`⚠️ Vidéo en boucle illisible par ffprobe (${path.basename(file)}): ${err.message}`);
+            }
+            loopDurations.set(file, duration);
+        }
+        return loopDurations.get(file);
+    };
 
-        // Process each range with UNIQUE effects per segment
-        for (let i = 0; i < expandedRanges.length; i++) {
-            const { start, end } = expandedRanges[i];
+    // Préparation de tous les segments de tous les clips, avec des effets UNIQUES par segment
+    const segmentJobs = [];
+    const clipJobs = clipsToCreate.map(clipData => {
+        const { clipNumber, ranges: expandedRanges } = clipData;
+        const segmentFiles = [];
+        // Vidéo en boucle sous la source: remplissage (stack, pip) ou fond vidéo (blur)
+        const loopedVideo = FILLER_MODES.includes(mode)
+            ? pickFiller(fillers, clipNumber)
+            : (background.style === "video" ? backgroundFile : null);
+        let elapsed = 0;
+        // Textes incrustés: écrits dans des fichiers à côté des segments (voir lib/overlays.js)
+        const textFiles = clipOverlays(overlays, { clipNumber, clipCount: manifest.clips.length, title: sourceTitle })
+            .map(overlay => ({ ...overlay, file: path.join(outputDir, `text_clip${clipNumber}_${overlay.name}.txt`) }));
+
+        expandedRanges.forEach(({ start, end }, i) => {
             if (end <= start) {
-                console.warn(`⚠️ Range ${i + 1} ignored (end ≤ start).`);
-                continue;
+                console.warn(`⚠️ Clip #${clipNumber}: range ${i + 1} ignored (end ≤ start).`);
+                return;
             }
             const duration = end - start;
 
@@ -954,113 +1687,329 @@ async function downloadFFmpeg(destFolder) {
             const hasLogo = uniqueEffects.logo.enabled && hasLogoFile;
             const hasWatermark = hasWatermarkFile;
 
-            // Construire les filtres avec les effets uniques
-            const videoFilter = buildVideoFilter(useBlurFill, hasLogo, hasWatermark, uniqueEffects);
-            const audioFilter = buildAudioFilter(uniqueEffects);
-
-            // Fichier temporaire pour ce segment
-            const tempSegmentName = path.join(outputDir, `temp_segment_${i + 1}.mp4`);
-            tempSegmentFiles.push(tempSegmentName);
+            // L'accroche n'apparaît que pendant les premières secondes du clip, éventuellement sur plusieurs segments
+            const textFilters = textFiles
+                .filter(({ name }) => name !== "hook" || elapsed < overlays.hook.duration)
+                .map(({ name, style, file }) => drawtextFilter(style, file, canvas, name === "hook" ? overlays.hook.duration - elapsed : null));
 
-            // Construire les inputs FFmpeg: vidéo + watermark (optionnel) + logo (optionnel)
+            // Construire les filtres avec les effets uniques
+            const videoFilter = buildVideoFilter(mode, {
+                hasLogo,
+                hasWatermark,
+                effects: uniqueEffects,
+                cropPath: cropPaths.get(`${clipNumber}_${i + 1}`),
+                canvas,
+                composition,
+                background,
+                textFilters,
+            });
+            // Sans piste audio: ni filtre ni encodage audio
+            const audioArgs = media.hasAudio
+                ? `-af ${buildAudioFilter(uniqueEffects, media.sampleRate || 48000)} -c:a aac -b:a ${Math.floor(randomInRange(120, 136))}k `
+                : "-an ";
+
+            // Fichier temporaire pour ce segment (nom propre au clip: plusieurs clips sont encodés en même temps)
+            const tempSegmentName = path.join(outputDir, `temp_clip${clipNumber}_segment_${i + 1}.mp4`);
+            segmentFiles.push(tempSegmentName);
+
+            // Construire les inputs FFmpeg: vidéo + vidéo en boucle sans son (remplissage, fond) ou image de fond
+            // + watermark (optionnel) + logo (optionnel)
+            let loopInput = '';
+            if (loopedVideo) {
+                const loopLength = loopDuration(loopedVideo);
+                loopInput = `-an -stream_loop -1 -ss ${loopLength > 0 ? +(elapsed % loopLength).toFixed(3) : 0} -i "${loopedVideo}" `;
+            } else if (backgroundFile) {
+                loopInput = `-loop 1 -i "${backgroundFile}" `;
+            }
+            elapsed += duration;
             const watermarkInput = hasWatermark ? `-i "${watermarkFile}" ` : '';
             const logoInput = hasLogo ? `-i "${logoFile}" ` : '';
-            const needsFilterComplex = hasLogo || hasWatermark;
+            const needsFilterComplex = hasLogo || hasWatermark || Boolean(loopInput);
             const filterFlag = needsFilterComplex ? '-filter_complex' : '-vf';
 
             const cmd =
-                `"${ffmpeg}" -y -ss ${start} -t ${duration} -i "${tempFile}" ${watermarkInput}${logoInput}` +
-                `${filterFlag} ${videoFilter} -af ${audioFilter} ` +
+                `"${ffmpeg}" ${ffmpegLogArgs}-y -ss ${start} -t ${duration} -i "${tempFile}" ${loopInput}${watermarkInput}${logoInput}` +
+                `${filterFlag} ${videoFilter} ` +
                 `-c:v libx264 -preset ${uniqueEffects.preset} -crf ${uniqueEffects.crf} ` +
-                `-c:a aac -b:a ${Math.floor(randomInRange(120, 136))}k ` +
+                audioArgs +
                 `"${tempSegmentName}"`;
 
-            console.log(`\n🔄 Extraction segment #${i + 1} (${duration}s)`);
-            console.log(`   🎲 Effets: sat=${uniqueEffects.saturation.toFixed(2)} hue=${uniqueEffects.hue.toFixed(1)}°${hasWatermark ? ' +watermark' : ''}`);
-            try {
-                execSync(cmd, { stdio: "inherit" });
-            } catch {
-                console.error(`⛔ Échec extraction segment #${i + 1}.`);
-            }
-        }
+            segmentJobs.push({ clipNumber, segmentNumber: i + 1, segmentCount: expandedRanges.length, start, end, duration, file: tempSegmentName, effects: uniqueEffects, hasWatermark, cmd });
+        });
 
-        // 🎬 CONCATÉNATION des 3 segments en un seul clip (~1m)
-        console.log("\n🎬 Concaténation des 3 segments en un clip de ~1m...");
+        const duration = expandedRanges.reduce((sum, r) => sum + Math.max(0, r.end - r.start), 0);
+        return { ...clipData, segmentFiles, textFiles, duration };
+    });
 
-        // Créer le fichier de liste pour ffmpeg concat
-        const concatListFile = path.join(outputDir, "concat_list.txt");
-        const concatListContent = tempSegmentFiles.map(f => `file '${f.replace(/\\/g, "/")}'`).join("\n");
-        fs.writeFileSync(concatListFile, concatListContent);
+    const captions = options.captions || "karaoke";
+    // Sous-titres placés d'après le mode vidéo: dans le fond flou autour de la vidéo, ou dans la zone sûre
+    const subtitleStyle = placeSubtitles(context.subtitleStyle, { blurFill, foregroundHeight: foregroundHeightFor(media, canvas), canvas });
+    // Sous-titres incrustés (filtre subtitles requis), et/ou fichiers à côté du clip et piste du MP4
+    const { subtitleOutputs } = context;
+    const burnCaptions = subtitleOutputs.includes("burn") && ffmpegCaps.subtitles;
+    const softCaptions = subtitleOutputs.some(output => output !== "burn");
+    // Whisper a besoin d'une piste audio
+    const whisperSubtitles = (burnCaptions || softCaptions) && media.hasAudio;
+    // L'incrustation réencode le clip: elle compte dans le travail restant
+    const burnStep = whisperSubtitles && burnCaptions;
+
+    // --transcribe-once: la source est transcrite une fois (ou lue du cache), chaque clip en reçoit sa part
+    let transcriptWords = null;
+    if (whisperSubtitles && whisper.transcribeOnce) {
+        console.log("\n🎤 Transcription de la vidéo source avec Whisper...");
+        transcriptWords = await getSourceWords();
+        if (!transcriptWords) {
+            console.warn("⚠️ Transcription de la source indisponible: chaque clip sera transcrit séparément.");
+        }
+    }
 
-        // 📝 MÉTADONNÉES UNIQUES pour le clip final
-        const uniqueId = `${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
-        const fakeDate = new Date(Date.now() - Math.floor(Math.random() * 86400000 * 30));
-        const metadataArgs = `-metadata title="clip_${uniqueId}" ` +
-            `-metadata creation_time="${fakeDate.toISOString()}" ` +
-            `-metadata encoder="custom_${Math.random().toString(36).slice(2, 8)}" ` +
-            `-metadata comment="${Math.random().toString(36).slice(2, 18)}"`;
+    // Fichiers intermédiaires d'un clip (liste de concaténation, versions sous-titrées avant remplacement)
+    const clipWorkFiles = (clipNumber, clipLabel) => ({
+        concatList: path.join(outputDir, `concat_list_clip${clipNumber}.txt`),
+        subtitled: path.join(outputDir, `clip_${clipNumber}_${clipLabel}_subtitled.mp4`),
+        muxed: path.join(outputDir, `clip_${clipNumber}_${clipLabel}_muxed.mp4`),
+    });
+    // Fichier de sous-titres d'un clip: à côté du clip, même nom (clip_1_60s.srt...), si ce format est demandé, sinon temporaire
+    const captionPath = (clipNumber, file, format, suffix) => (subtitleOutputs.includes(format)
+        ? path.join(outputDir, `${path.basename(file, path.extname(file))}.${format}`)
+        : path.join(outputDir, `clip_${clipNumber}_${suffix}.${format}`));
+    const muxLanguage = () => mp4Language(whisper.task === "translate" ? "en" : whisper.language);
+
+    // 🧪 Simulation: le plan (commandes, listes de concaténation, fichiers produits) remplace l'encodage
+    if (dryRun) {
+        const plan = {
+            source: source.location,
+            outputDir,
+            download: plannedDownload,
+            media,
+            clips: clipJobs.map(({ clipNumber, label: clipLabel, file, textFiles }) => {
+                const finalOutputName = path.join(outputDir, file);
+                const work = clipWorkFiles(clipNumber, clipLabel);
+                const segments = segmentJobs.filter(job => job.clipNumber === clipNumber)
+                    .map(({ start, end, file: segmentFile, cmd }) => ({ start, end, file: segmentFile, command: cmd }));
+                let subtitles = null;
+                if (whisperSubtitles) {
+                    subtitles = {
+                        source: transcriptWords ? "transcription de la source en cache" : "transcription Whisper du clip",
+                        files: ["srt", "vtt", "ass"].filter(format => subtitleOutputs.includes(format))
+                            .map(format => captionPath(clipNumber, file, format)),
+                        burn: burnCaptions
+                            ? buildBurnCommand(ffmpeg, ffmpegLogArgs, finalOutputName, captionPath(clipNumber, file, "ass", "subs"), work.subtitled)
+                            : null,
+                        mux: subtitleOutputs.includes("mux")
+                            ? buildMuxCommand(ffmpeg, ffmpegLogArgs, finalOutputName, captionPath(clipNumber, file, "srt", "mux"), work.muxed, muxLanguage())
+                            : null,
+                    };
+                }
+                return {
+                    clipNumber,
+                    file: finalOutputName,
+                    segments,
+                    texts: textFiles.map(({ file: textFile, text }) => ({ file: textFile, content: text })),
+                    concatList: { file: work.concatList, content: buildConcatList(segments.map(segment => segment.file)) },
+                    concat: buildConcatCommand(ffmpeg, ffmpegLogArgs, work.concatList, finalOutputName),
+                    subtitles,
+                };
+            }),
+        };
+        printPlan(plan);
+        return { exitCode: EXIT_CODES.OK, outputDir, createdCount: 0, failedClips: [], plan };
+    }
 
-        const finalOutputName = path.join(outputDir, `clip_${clipNumber}_1m.mp4`);
+    // Travail d'un clip: ses segments, puis l'incrustation des sous-titres si ffmpeg en est capable
+    const progress = createProgressDisplay({
+        enabled: !verbose,
+        clipCount: manifest.clips.length,
+        clips: clipJobs.map(c => ({ clipNumber: c.clipNumber, work: c.duration * (burnStep ? 2 : 1) })),
+    });
+    const runFfmpeg = async (cmd, id, task) => {
+        if (verbose) return runCommand(cmd);
+        progress.start(id, task);
+        try {
+            await runCommand(cmd, { onProgress: createProgressParser(update => progress.update(id, update)) });
+        } finally {
+            progress.end(id);
+        }
+    };
 
-        const concatCmd = `"${ffmpeg}" -y -f concat -safe 0 -i "${concatListFile}" -c copy ${metadataArgs} "${finalOutputName}"`;
+    // Étape 1: extraction des segments (les textes incrustés sont lus par drawtext dans leurs fichiers)
+    clipJobs.forEach(({ textFiles }) => textFiles.forEach(({ file, text }) => fs.writeFileSync(file, text)));
+    console.log(`\n🔄 Extraction de ${segmentJobs.length} segment(s)...`);
+    const segmentResults = await runPool(segmentJobs.map(job => async () => {
+        if (verbose) {
+            console.log(`\n🔄 Extraction clip #${job.clipNumber} segment #${job.segmentNumber} (${+job.duration.toFixed(2)}s)`);
+            console.log(`   🎲 Effets: sat=${job.effects.saturation.toFixed(2)} hue=${job.effects.hue.toFixed(1)}°${job.hasWatermark ? ' +watermark' : ''}`);
+        }
+        await runFfmpeg(job.cmd, `clip${job.clipNumber}_segment${job.segmentNumber}`, {
+            clipNumber: job.clipNumber,
+            step: `segment ${job.segmentNumber}/${job.segmentCount}`,
+            duration: job.duration,
+        });
+    }), jobs, (result, index, done) => {
+        const { clipNumber, segmentNumber } = segmentJobs[index];
+        if (result.ok) {
+            if (verbose) console.log(`✅ [${done}/${segmentJobs.length}] Clip #${clipNumber} segment #${segmentNumber} extrait.`);
+        } else {
+            progress.error(`⛔ [${done}/${segmentJobs.length}] Échec extraction clip #${clipNumber} segment #${segmentNumber}: ${result.error.message}`);
+        }
+    });
+    const incompleteClips = new Set(segmentJobs.filter((job, i) => !segmentResults[i].ok).map(job => job.clipNumber));
+
+    // Whisper charge un seul modèle en mémoire: les transcriptions passent une par une
+    const whisperQueue = createSerialQueue();
+
+    /**
+     * Assemble un clip à partir de ses segments, puis ajoute les sous-titres
+     * @param {object} clipJob - { clipNumber, ranges, label, file, segmentFiles, textFiles, duration }
+     * @returns {Promise<string>} - Chemin du clip final
+     */
+    const finalizeClip = async ({ clipNumber, ranges: expandedRanges, label: clipLabel, file, segmentFiles, textFiles, duration }) => {
+        if (incompleteClips.has(clipNumber)) {
+            throw new Error("segment(s) manquant(s)");
+        }
 
-        try {
-            execSync(concatCmd, { stdio: "inherit" });
-            console.log(`\n✅ Clip #${clipNumber} créé: ${finalOutputName}`);
+        // 🎬 CONCATÉNATION des segments en un seul clip
+        if (verbose) {
+            console.log(`\n🎬 Clip #${clipNumber}: concaténation des ${segmentFiles.length} segments en un clip de ~${clipLabel}...`);
+        }
 
-            // Supprimer les fichiers temporaires
-            console.log("🧹 Nettoyage des segments temporaires...");
-            tempSegmentFiles.forEach(f => {
-                if (fs.existsSync(f)) fs.unlinkSync(f);
-            });
-            if (fs.existsSync(concatListFile)) fs.unlinkSync(concatListFile);
-            console.log("✅ Fichiers temporaires supprimés.");
+        // Créer le fichier de liste pour ffmpeg concat
+        const work = clipWorkFiles(clipNumber, clipLabel);
+        const concatListFile = work.concatList;
+        fs.writeFileSync(concatListFile, buildConcatList(segmentFiles));
 
-            // 🎤 SOUS-TITRES AUTOMATIQUES (Whisper ou YouTube)
-            let clipSrtFile = null;
+        const finalOutputName = path.join(outputDir, file);
+        const concatCmd = buildConcatCommand(ffmpeg, ffmpegLogArgs, concatListFile, finalOutputName);
+
+        try {
+            // Copie sans réencodage: quasi instantanée, ne compte pas dans le travail restant
+            await runFfmpeg(concatCmd, `clip${clipNumber}_concat`, { clipNumber, step: "concat", duration, counted: false });
+        } catch (err) {
+            throw new Error(`échec de la concaténation (${err.message})`);
+        }
 
-            // Priorité 1: Whisper (transcription locale via @xenova/transformers)
-            console.log("\n🎤 Génération des sous-titres avec Whisper...");
-            clipSrtFile = await generateWhisperSubtitles(finalOutputName, outputDir, clipNumber, ffmpeg);
+        // Supprimer les fichiers temporaires
+        [...segmentFiles, ...textFiles.map(text => text.file)].forEach(f => {
+            if (fs.existsSync(f)) fs.unlinkSync(f);
+        });
+        if (fs.existsSync(concatListFile)) fs.unlinkSync(concatListFile);
+
+        // 🎤 SOUS-TITRES AUTOMATIQUES (Whisper ou YouTube)
+        let clipCaptions = null;
+
+        // Priorité 1: Whisper (transcription locale via @xenova/transformers), inutile si aucune sortie n'est possible
+        if (transcriptWords) {
+            clipCaptions = captionsFromTranscript(transcriptWords, expandedRanges, captions, subtitleStyle);
+        } else if (whisperSubtitles) {
+            // Whisper écrit ses propres messages: l'affichage de progression est suspendu pendant la transcription
+            clipCaptions = await whisperQueue(() => progress.suspend(() => {
+                console.log(`\n🎤 Clip #${clipNumber}: génération des sous-titres avec Whisper...`);
+                return generateWhisperSubtitles(finalOutputName, outputDir, clipNumber, ffmpeg, captions, subtitleStyle, whisper);
+            }));
+        }
 
-            // Priorité 2: Sous-titres YouTube (si Whisper non disponible ou a échoué)
-            if (!clipSrtFile && youtubeSrtFile) {
-                console.log("\n📝 Extraction des sous-titres YouTube pour ce clip...");
-                const ytSrtFile = path.join(outputDir, `clip_${clipNumber}_subs.srt`);
-                clipSrtFile = extractSubtitlesForSegments(youtubeSrtFile, expandedRanges, ytSrtFile);
+        // Priorité 2: Sous-titres YouTube (si Whisper non disponible ou a échoué)
+        if (!clipCaptions && youtubeSrtFile && (burnCaptions || softCaptions)) {
+            console.log(`\n📝 Clip #${clipNumber}: extraction des sous-titres YouTube...`);
+            const ytSrtFile = path.join(outputDir, `clip_${clipNumber}_subs.srt`);
+            if (extractSubtitlesForSegments(youtubeSrtFile, expandedRanges, ytSrtFile)) {
+                clipCaptions = captionsFromSrt(ytSrtFile, subtitleStyle);
             }
+        }
 
-            // Incrustation des sous-titres si disponibles
-            if (clipSrtFile) {
-                const subtitledOutput = path.join(outputDir, `clip_${clipNumber}_1m_subtitled.mp4`);
+        if (!clipCaptions) {
+            if (burnStep) progress.skip(clipNumber, duration);
+            return finalOutputName;
+        }
 
-                if (burnSubtitles(finalOutputName, clipSrtFile, subtitledOutput, ffmpeg)) {
-                    // Remplacer le fichier original par la version sous-titrée
-                    fs.unlinkSync(finalOutputName);
-                    fs.renameSync(subtitledOutput, finalOutputName);
-                    console.log("✅ Vidéo finale avec sous-titres incrustés!");
-                }
+        // Fichiers de sous-titres à côté du clip
+        const sidecars = {
+            srt: serializeSrt(clipCaptions.cues),
+            vtt: serializeVtt(clipCaptions.cues),
+            ass: clipCaptions.ass,
+        };
+        for (const format of Object.keys(sidecars)) {
+            if (subtitleOutputs.includes(format)) fs.writeFileSync(captionPath(clipNumber, file, format), sidecars[format]);
+        }
+        // Fichier temporaire, sauf si le même fichier est demandé à côté du clip
+        const captionFile = (format, suffix) => {
+            const captionFileName = captionPath(clipNumber, file, format, suffix);
+            if (subtitleOutputs.includes(format)) return { file: captionFileName, temporary: false };
+            fs.writeFileSync(captionFileName, sidecars[format]);
+            return { file: captionFileName, temporary: true };
+        };
+        const ffmpegOptions = (step, counted) => ({
+            logArgs: ffmpegLogArgs,
+            run: cmd => runFfmpeg(cmd, `clip${clipNumber}_${step}`, { clipNumber, step, duration, counted }),
+            log: progress,
+        });
 
-                // Supprimer le fichier SRT du clip après utilisation
-                if (fs.existsSync(clipSrtFile)) fs.unlinkSync(clipSrtFile);
+        // Incrustation des sous-titres (le fichier ASS porte le style et le placement)
+        if (burnCaptions) {
+            const assFile = captionFile("ass", "subs");
+            const subtitledOutput = work.subtitled;
+            if (await burnSubtitles(finalOutputName, assFile.file, subtitledOutput, ffmpeg, ffmpegOptions("sous-titres", burnStep))) {
+                // Remplacer le fichier original par la version sous-titrée
+                fs.unlinkSync(finalOutputName);
+                fs.renameSync(subtitledOutput, finalOutputName);
             }
+            if (assFile.temporary && fs.existsSync(assFile.file)) fs.unlinkSync(assFile.file);
+        }
 
-        } catch {
-            console.error("⛔ Échec de la concaténation.");
+        // Piste de sous-titres dans le MP4 (activable dans les lecteurs, modifiable), copie sans réencodage
+        if (subtitleOutputs.includes("mux")) {
+            const srtFile = captionFile("srt", "mux");
+            const muxedOutput = work.muxed;
+            if (await muxSubtitles(finalOutputName, srtFile.file, muxedOutput, ffmpeg, muxLanguage(), ffmpegOptions("piste", false))) {
+                fs.unlinkSync(finalOutputName);
+                fs.renameSync(muxedOutput, finalOutputName);
+            }
+            if (srtFile.temporary && fs.existsSync(srtFile.file)) fs.unlinkSync(srtFile.file);
+        }
+
+        return finalOutputName;
+    };
+
+    // Étape 2: assemblage et sous-titres, clip par clip (résultats rangés dans l'ordre des clips)
+    const clipResults = await runPool(clipJobs.map(clipJob => () => finalizeClip(clipJob)), jobs, (result, index, done) => {
+        const { clipNumber, duration } = clipJobs[index];
+        // État enregistré au fil de l'eau: un arrêt brutal ne fait perdre que les clips en cours
+        markClip(manifest, outputDir, clipNumber, result.ok ? null : result.error.message);
+        saveManifest(outputDir, manifest);
+        if (result.ok) {
+            progress.log(`✅ [${done}/${clipJobs.length}] Clip #${clipNumber} créé: ${result.value}`);
+        } else {
+            if (burnStep) progress.skip(clipNumber, duration);
+            progress.error(`⛔ [${done}/${clipJobs.length}] Clip #${clipNumber} en échec: ${result.error.message}`);
         }
-    } // Fin de la boucle for
+    });
+    progress.close();
+    const failedClips = clipJobs.filter((clipJob, i) => !clipResults[i].ok).map(clipJob => clipJob.clipNumber);
 
     // 🧹 NETTOYAGE FINAL
     console.log("\n" + "=".repeat(50));
     console.log("🧹 NETTOYAGE");
     console.log("=".repeat(50));
 
-    const del = await ask("\nSupprimer video_temp.mp4 ? (o/n): ");
-    if (del.toLowerCase() === "o" || del.toLowerCase() === "y") {
+    // La vidéo téléchargée est supprimée sauf --keep-source; une vidéo locale de l'utilisateur n'est jamais supprimée
+    let deleteSource = false;
+    if (!source.owned && !options.keepSource) {
+        if (askPerVideo) {
+            const del = await ask(`\nSupprimer ${path.basename(tempFile)} ? (o/n): `);
+            deleteSource = del.toLowerCase() === "o" || del.toLowerCase() === "y";
+        } else {
+            deleteSource = true;
+        }
+    }
+    if (deleteSource) {
         if (fs.existsSync(tempFile)) {
             fs.unlinkSync(tempFile);
             console.log("✅ Fichier temporaire supprimé.");
         }
+        // La transcription en cache ne vaut que pour cette vidéo
+        if (fs.existsSync(transcriptFile(tempFile))) {
+            fs.unlinkSync(transcriptFile(tempFile));
+        }
     }
 
     // Supprimer le fichier de sous-titres YouTube
@@ -1068,7 +2017,34 @@ async function downloadFFmpeg(destFolder) {
         fs.unlinkSync(youtubeSrtFile);
     }
 
-    console.log(`\n✅ Terminé! ${allClipsData.length} clip(s) créé(s) dans: ${outputDir}`);
-    await ask("Appuyez sur Entrée pour quitter...");
-    rl.close();
-})();
+    const createdCount = manifest.clips.filter(clip => clip.status === "done").length;
+    console.log(`\n✅ Terminé! ${createdCount} clip(s) créé(s) dans: ${outputDir}`);
+    if (failedClips.length > 0) {
+        console.error(`⛔ ${failedClips.length} clip(s) en échec: #${failedClips.join(", #")}`);
+    }
+    return {
+        exitCode: failedClips.length > 0 ? EXIT_CODES.ENCODING : EXIT_CODES.OK,
+        outputDir,
+        createdCount,
+        failedClips,
+    };
+}
+
+// Chargé par les tests: seules les chaînes de filtres sont exportées, sans lancer le programme
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(exitCode => {
+            closePrompt();
+            process.exit(exitCode);
+        })
+        .catch(err => {
+            closePrompt();
+            console.error(`⛔ ${err.message}`);
+            if (err.exitCode === EXIT_CODES.USAGE) {
+                console.error("   Voir --help pour la liste des options.");
+            }
+            process.exit(err instanceof CliError ? err.exitCode : EXIT_CODES.ERROR);
+        });
+}
+
+module.exports = { EFFECTS, buildVideoFilter, buildAudioFilter };
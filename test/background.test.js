@@ -0,0 +1,59 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DEFAULT_BACKGROUND_SETTINGS, resolveBackgroundSettings, backgroundInputFile, backgroundFilter } = require("../lib/background");
+const { EFFECTS, buildVideoFilter } = require("../maindl");
+
+const canvas = { width: 1080, height: 1920 };
+
+// Image PNG de 1x1 pixel
+const PNG_1X1 = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+test("resolveBackgroundSettings applique les options et refuse les réglages invalides", t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "maindl-background-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const fixture = path.join(dir, "fond.png");
+    fs.writeFileSync(fixture, Buffer.from(PNG_1X1, "base64"));
+    const settings = resolveBackgroundSettings({ darken: "0.3" }, { background: "image", backgroundFile: fixture });
+    assert.equal(settings.style, "image");
+    assert.equal(settings.darken, 0.3);
+    assert.equal(backgroundInputFile(settings), fixture);
+    assert.equal(backgroundInputFile(DEFAULT_BACKGROUND_SETTINGS), null);
+    assert.throws(() => resolveBackgroundSettings({}, { background: "video" }), /demande un fichier/);
+    assert.throws(() => resolveBackgroundSettings({}, { backgroundFile: fixture }), /--background-file/);
+    assert.throws(() => resolveBackgroundSettings({ gradient: ["#000000"] }), /Couleurs de fond/);
+    assert.throws(() => resolveBackgroundSettings({ blur: 80 }), /blur/);
+});
+
+test("backgroundFilter garde le flou historique par défaut et règle intensité, grossissement et assombrissement", () => {
+    assert.equal(backgroundFilter(DEFAULT_BACKGROUND_SETTINGS, canvas, "[bg]"),
+        "[bg]scale=1080:1920:force_original_aspect_ratio=increase,boxblur=20:1,crop=1080:1920[bl]");
+    assert.equal(backgroundFilter({ ...DEFAULT_BACKGROUND_SETTINGS, blur: 40, zoom: 1.25, darken: 0.4 }, canvas, "[bg]"),
+        "[bg]scale=1350:2400:force_original_aspect_ratio=increase,boxblur=40:1,crop=1080:1920,colorchannelmixer=rr=0.6:gg=0.6:bb=0.6[bl]");
+});
+
+test("backgroundFilter calcule le dégradé sur une image réduite", () => {
+    const filter = backgroundFilter({ ...DEFAULT_BACKGROUND_SETTINGS, style: "gradient", gradient: ["#FF0000", "#0000FF"], gradientDirection: "horizontal" }, canvas, "[bg]");
+    assert.equal(filter, "[bg]scale=136:240,format=rgb24,geq=r='255+(-255)*X/W':g='0+(0)*X/W':b='0+(255)*X/W',scale=1080:1920,setsar=1[bl]");
+});
+
+test("buildVideoFilter pose la vidéo sur le fond image, entrée à part qui ne fixe pas la durée", () => {
+    const effects = { ...EFFECTS, mirror: false };
+    const background = { ...DEFAULT_BACKGROUND_SETTINGS, style: "image", image: "/fonds/chaine.png", darken: 0.25 };
+    const filter = buildVideoFilter("blur", { effects, hasWatermark: true, background });
+    // Entrées: [1] fond, [2] watermark; la source n'est plus dupliquée pour le fond
+    assert.ok(filter.startsWith("\"[0:v]scale=iw*1.02"));
+    assert.ok(filter.endsWith("[fg];[1:v]scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920,setsar=1,colorchannelmixer=rr=0.75:gg=0.75:bb=0.75[bl];" +
+        "[2:v]scale=1080:-1[wm];[fg][wm]overlay=0:(H-h)/2[fgwm];[bl][fgwm]overlay=(W-w)/2:(H-h)/2:shortest=1\""));
+
+    // Hors du mode blur, le fond est ignoré: le logo reste la première entrée ajoutée
+    assert.match(buildVideoFilter("crop", { effects, hasLogo: true, background }), /scale=1080:1920\[vid\];\[1:v\]scale=1080\*0\.12:-1\[logo\]/);
+});
+
+test("buildVideoFilter calcule le fond couleur sur une copie de la source", () => {
+    const filter = buildVideoFilter("blur", { background: { ...DEFAULT_BACKGROUND_SETTINGS, style: "color", color: "#112233" } });
+    assert.ok(filter.startsWith("\"split=2[main][bg];[main]scale=iw*1.02"));
+    assert.ok(filter.endsWith("[bg]scale=1080:1920,setsar=1,drawbox=x=0:y=0:w=iw:h=ih:color=#112233:t=fill[bl];[bl][fg]overlay=(W-w)/2:(H-h)/2\""));
+});
@@ -0,0 +1,18 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { snapRanges } = require("../lib/boundaries");
+
+const options = { tolerance: 3, minDuration: 0, maxDuration: 100, videoDuration: 60 };
+
+test("snapRanges déplace les limites vers les points de coupe proches", () => {
+    const cutPoints = [{ start: 1.5, end: 2 }, { start: 21, end: 21 }];
+    assert.deepEqual(snapRanges([{ start: 0, end: 20 }], cutPoints, options), [{ start: 1.5, end: 21 }]);
+});
+
+test("snapRanges ne fait pas chevaucher la fin d'un segment sur le suivant", () => {
+    // Le début du second segment ne peut pas suivre le point de coupe (segment trop court): la fin du premier n'y va pas non plus
+    const ranges = [{ start: 0, end: 10 }, { start: 12, end: 13.2 }];
+    const snapped = snapRanges(ranges, [{ start: 12.5, end: 12.5 }], options);
+    assert.deepEqual(snapped, ranges);
+    assert.ok(snapped[0].end <= snapped[1].start);
+});
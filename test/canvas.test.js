@@ -0,0 +1,45 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveCanvas, describeCanvas } = require("../lib/canvas");
+const { resolveSubtitleStyle, placeSubtitles, foregroundHeightFor } = require("../lib/styles");
+const { buildVideoFilter } = require("../maindl");
+
+// Partie du graphe qui suit les effets de la source (le miroir est actif par défaut)
+const afterEffects = filter => filter.slice(filter.indexOf(",hflip,") + ",hflip,".length);
+
+test("resolveCanvas lit les préréglages et les dimensions libres", () => {
+    assert.deepEqual(resolveCanvas(undefined), { name: "9:16", width: 1080, height: 1920 });
+    assert.deepEqual(resolveCanvas("16:9"), { name: "16:9", width: 1920, height: 1080 });
+    assert.deepEqual(resolveCanvas("1280X720"), { name: "1280x720", width: 1280, height: 720 });
+    assert.equal(describeCanvas(resolveCanvas("720p")), "720p (720x1280)");
+    assert.throws(() => resolveCanvas("3:2"), /Canevas invalide/);
+    assert.throws(() => resolveCanvas("1081x1920"), /nombres pairs/);
+});
+
+test("placeSubtitles met le style à l'échelle du canevas", () => {
+    const style = resolveSubtitleStyle({}, "classic");
+    const vertical = placeSubtitles(style, { blurFill: false });
+    assert.equal(vertical.playResY, 1920);
+    assert.equal(vertical.marginV, 380);
+
+    const draft = placeSubtitles(style, { blurFill: false, canvas: resolveCanvas("720p") });
+    assert.deepEqual([draft.playResX, draft.playResY, draft.fontSize, draft.marginV], [720, 1280, 43, 253]);
+
+    // 16:9 depuis une source 16:9: aucune bande floue, sous-titres dans la zone sûre
+    const wide = resolveCanvas("16:9");
+    const landscape = placeSubtitles(style, { blurFill: true, foregroundHeight: foregroundHeightFor({ displayWidth: 1920, displayHeight: 1080 }, wide), canvas: wide });
+    assert.deepEqual([landscape.fontSize, landscape.alignment, landscape.marginV], [64, 2, 214]);
+});
+
+test("buildVideoFilter compose le fond flou, le logo et le watermark aux dimensions du canevas", () => {
+    const draft = resolveCanvas("720p");
+    assert.equal(afterEffects(buildVideoFilter("blur", { hasLogo: true, canvas: draft })),
+        "scale=720:1280:force_original_aspect_ratio=decrease[fg];" +
+        "[bg]scale=720:1280:force_original_aspect_ratio=increase,boxblur=20:1,crop=720:1280[bl];" +
+        "[1:v]scale=720*0.12:-1[logo];[fg][logo]overlay=W-w-7:H-h-7[fglogo];[bl][fglogo]overlay=(W-w)/2:(H-h)/2\"");
+
+    // 16:9: cadre paysage, watermark étiré au canevas
+    assert.equal(afterEffects(buildVideoFilter("crop", { hasWatermark: true, canvas: resolveCanvas("16:9") })),
+        "crop='min(iw,ih*1920/1080)':'min(ih,iw*1080/1920)':(iw-ow)/2:(ih-oh)/2,scale=1920:1080[vid];" +
+        "[1:v]scale=1920:1080[wm];[vid][wm]overlay=0:0\"");
+});
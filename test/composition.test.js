@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveCompositionSettings, pickFiller, stackHeights, regionCrop } = require("../lib/composition");
+const { EFFECTS, buildVideoFilter } = require("../maindl");
+
+// Sans miroir, pour lire les cadrages tels quels; partie du graphe qui suit les effets de la source
+const effects = { ...EFFECTS, mirror: false };
+const afterEffects = filter => filter.slice(filter.indexOf("unsharp=5:5:0.3:5:5:0,") + "unsharp=5:5:0.3:5:5:0,".length);
+
+test("resolveCompositionSettings applique --filler et refuse les réglages hors limites", () => {
+    const settings = resolveCompositionSettings({ filler: "a.mp4", stackRatio: "0.6" }, { filler: "fillers" });
+    assert.equal(settings.filler, "fillers");
+    assert.equal(settings.stackRatio, 0.6);
+    assert.deepEqual(settings.splitCenters, [0.25, 0.75]);
+    assert.throws(() => resolveCompositionSettings({ pipSize: 0.9 }), /pipSize/);
+    assert.throws(() => resolveCompositionSettings({ pipPosition: "centre" }), /Position d'incrustation/);
+    assert.throws(() => resolveCompositionSettings({ splitCenters: [0.5] }), /splitCenters/);
+});
+
+test("pickFiller utilise les vidéos à tour de rôle", () => {
+    assert.deepEqual([1, 2, 3].map(n => pickFiller(["a", "b"], n)), ["a", "b", "a"]);
+});
+
+test("stackHeights partage la hauteur en zones paires", () => {
+    assert.deepEqual(stackHeights({ width: 1080, height: 1920 }, 0.5), { top: 960, bottom: 960 });
+    assert.deepEqual(stackHeights({ width: 720, height: 1280 }, 0.55), { top: 704, bottom: 576 });
+});
+
+test("regionCrop centre le cadre sur l'intervenant, retourné avec le miroir", () => {
+    assert.equal(regionCrop(0.25, { width: 1080, height: 960 }),
+        "crop='min(iw,ih*1080/960)/1':'ow*960/1080':'clip(0.25*iw-ow/2,0,iw-ow)':(ih-oh)/2");
+    assert.match(regionCrop(0.25, { width: 1080, height: 960 }, 1.5, true), /\/1\.5':.*clip\(0\.75\*iw/);
+});
+
+test("buildVideoFilter empile la source et le remplissage, avant watermark et logo", () => {
+    const composition = resolveCompositionSettings({ stackRatio: 0.6 });
+    const filter = buildVideoFilter("stack", { effects, hasLogo: true, hasWatermark: true, composition });
+    assert.ok(filter.startsWith("\"[0:v]scale=iw*1.02"));
+    // Entrées: [1] remplissage, [2] watermark, [3] logo
+    assert.equal(afterEffects(filter),
+        "scale=1080:1152:force_original_aspect_ratio=increase,crop=1080:1152,setsar=1,format=yuv420p[top];" +
+        "[1:v]scale=1080:768:force_original_aspect_ratio=increase,crop=1080:768,setsar=1,format=yuv420p[bottom];" +
+        "[top][bottom]vstack=shortest=1[vid];" +
+        "[2:v]scale=1080:1920[wm];[vid][wm]overlay=0:0[vidwm];[3:v]scale=1080*0.12:-1[logo];[vidwm][logo]overlay=W-w-10:H-h-10\"");
+});
+
+test("buildVideoFilter incruste le remplissage dans le coin choisi", () => {
+    const composition = resolveCompositionSettings({ pipPosition: "bg" });
+    assert.equal(afterEffects(buildVideoFilter("pip", { effects, composition })),
+        "crop='min(iw,ih*1080/1920)':'min(ih,iw*1920/1080)':(iw-ow)/2:(ih-oh)/2,scale=1080:1920[base];" +
+        "[1:v]scale=378:-2,setsar=1[pip];[base][pip]overlay=40:H-h-40:shortest=1\"");
+});
+
+test("buildVideoFilter empile deux cadrages de la source en mode split", () => {
+    const composition = resolveCompositionSettings({ stackRatio: 0.6, splitZoom: 1.5 });
+    assert.equal(afterEffects(buildVideoFilter("split", { effects, composition })),
+        "split=2[s1][s2];" +
+        "[s1]crop='min(iw,ih*1080/1152)/1.5':'ow*1152/1080':'clip(0.25*iw-ow/2,0,iw-ow)':(ih-oh)/2,scale=1080:1152,setsar=1[top];" +
+        "[s2]crop='min(iw,ih*1080/768)/1.5':'ow*768/1080':'clip(0.75*iw-ow/2,0,iw-ow)':(ih-oh)/2,scale=1080:768,setsar=1[bottom];" +
+        "[top][bottom]vstack\"");
+});
@@ -0,0 +1,64 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { resolveOverlaySettings, clipOverlays, usesSourceTitle, escapeFilterPath, drawtextFilter } = require("../lib/overlays");
+const { buildVideoFilter } = require("../maindl");
+
+test("resolveOverlaySettings applique le style commun, les options et refuse les réglages invalides", () => {
+    const settings = resolveOverlaySettings({ style: { fontColour: "#FFD400" }, credit: { position: "bottom-left" } }, { hook: "Regardez", hookDuration: "2.5", partBadge: true });
+    assert.equal(settings.hook.text, "Regardez");
+    assert.equal(settings.hook.duration, 2.5);
+    assert.equal(settings.part.enabled, true);
+    assert.equal(settings.credit.fontColour, "#FFD400");
+    assert.equal(settings.credit.position, "bottom-left");
+    assert.throws(() => resolveOverlaySettings({ part: { position: "milieu" } }), /Position invalide \(texte part\)/);
+    assert.throws(() => resolveOverlaySettings({ hook: { boxColour: "noir" } }), /boxColour/);
+    assert.throws(() => resolveOverlaySettings({}, { hookDuration: "0" }), /Durée d'accroche/);
+});
+
+test("clipOverlays remplace les variables et ignore les textes vides ou désactivés", () => {
+    const settings = resolveOverlaySettings({}, { hook: "  Épisode {n}  ", credit: "Source: {title}", partBadge: true });
+    assert.deepEqual(clipOverlays(settings, { clipNumber: 2, clipCount: 5, title: "L'interview" }).map(({ name, text }) => [name, text]), [
+        ["hook", "Épisode 2"],
+        ["part", "Part 2/5"],
+        ["credit", "Source: L'interview"],
+    ]);
+    assert.equal(usesSourceTitle(settings), true);
+    assert.deepEqual(clipOverlays(resolveOverlaySettings(), { clipNumber: 1, clipCount: 1 }), []);
+});
+
+test("drawtextFilter place et met à l'échelle le texte, lu dans un fichier", () => {
+    const { part, hook } = resolveOverlaySettings();
+    assert.equal(escapeFilterPath("C:\\clips\\text.txt"), "C\\:/clips/text.txt");
+    assert.equal(drawtextFilter(part, "C:\\clips\\part.txt", { width: 720, height: 1280 }),
+        "drawtext=font='Arial':textfile='C\\:/clips/part.txt':expansion=none:fontsize=29:fontcolor=#FFFFFF:x=w-text_w-40:y=40:" +
+        "borderw=2:bordercolor=#000000:box=1:boxcolor=#00000099:boxborderw=11");
+    assert.equal(drawtextFilter(hook, "/tmp/hook.txt", { width: 1080, height: 1920 }, 1.5),
+        "drawtext=font='Arial':textfile='/tmp/hook.txt':expansion=none:fontsize=72:fontcolor=#FFFFFF:x=(w-text_w)/2:y=300:" +
+        "borderw=3:bordercolor=#000000:box=1:boxcolor=#00000099:boxborderw=16:enable='lt(t,1.5)'");
+    // Fichier de police (relatif au dossier de l'exécutable) prioritaire sur le nom, coin bas gauche, sans contour
+    const { credit } = resolveOverlaySettings({ credit: { fontFile: "fonts/Inter.ttf", position: "bottom-left", borderWidth: 0 } }, {}, "/app");
+    assert.equal(drawtextFilter(credit, "/tmp/credit.txt", { width: 1080, height: 1920 }),
+        `drawtext=fontfile='${escapeFilterPath(path.resolve("/app", "fonts", "Inter.ttf"))}':textfile='/tmp/credit.txt':expansion=none:fontsize=36:fontcolor=#FFFFFF:x=120:y=h-text_h-120`);
+});
+
+test("buildVideoFilter ajoute les textes sur l'image finale, par-dessus logo et watermark", () => {
+    const { hook, part } = resolveOverlaySettings();
+    const canvas = { width: 1080, height: 1920 };
+    const textFilters = [drawtextFilter(hook, "/clips/text_clip1_hook.txt", canvas, 2.5), drawtextFilter(part, "/clips/text_clip1_part.txt", canvas)];
+    const texts = `,${textFilters[0]},${textFilters[1]}"`;
+
+    assert.ok(buildVideoFilter("blur", { hasLogo: true, textFilters }).endsWith(`[bl][fglogo]overlay=(W-w)/2:(H-h)/2${texts}`));
+    assert.ok(buildVideoFilter("crop", { hasWatermark: true, textFilters }).endsWith(`[vid][wm]overlay=0:0${texts}`));
+    assert.ok(buildVideoFilter("crop", { textFilters }).endsWith(`(ih-oh)/2,scale=1080:1920${texts}`));
+    assert.ok(!buildVideoFilter("crop").includes("drawtext"));
+});
+
+test("buildVideoFilter garde le graphe valide avec une apostrophe dans le nom de police ou le chemin", () => {
+    const { credit } = resolveOverlaySettings({ credit: { fontName: "Bob's Font" } });
+    const textFilters = [drawtextFilter(credit, "/clips/l'interview/text_clip1_credit.txt", { width: 1080, height: 1920 })];
+    // La chaîne est fermée, l'apostrophe échappée pour l'option drawtext, puis la chaîne rouverte
+    assert.ok(buildVideoFilter("crop", { textFilters }).endsWith(
+        ",drawtext=font='Bob\\'\\''s Font':textfile='/clips/l\\'\\''interview/text_clip1_credit.txt':expansion=none:" +
+        "fontsize=36:fontcolor=#FFFFFF:x=(w-text_w)/2:y=h-text_h-120:borderw=2:bordercolor=#000000\""));
+});
@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_REFRAME_SETTINGS, resolveReframeSettings, motionCenters, personCenter, smoothPath, simplifyPath, cropXExpression } = require("../lib/reframe");
+const { EFFECTS, buildVideoFilter } = require("../maindl");
+
+// Image grise 320x180 avec un bloc blanc de 30 pixels de large à partir de x0
+function frameWithBlock(x0, t) {
+    const width = 320;
+    const height = 180;
+    const pixels = Buffer.alloc(width * height * 3, 40);
+    for (let y = 45; y < 135; y++) {
+        pixels.fill(230, (y * width + x0) * 3, (y * width + x0 + 30) * 3);
+    }
+    return { t, pixels };
+}
+
+test("resolveReframeSettings applique les options et refuse les réglages hors limites", () => {
+    const settings = resolveReframeSettings({ smoothing: 2 }, { reframe: "subject", reframeDetector: "motion" }, "/app");
+    assert.equal(settings.mode, "subject");
+    assert.equal(settings.detector, "motion");
+    assert.equal(settings.smoothing, 2);
+    assert.equal(settings.cacheDir, require("path").resolve("/app", "models"));
+    assert.throws(() => resolveReframeSettings({ maxSpeed: 0 }), /maxSpeed/);
+    assert.throws(() => resolveReframeSettings({}, { reframe: "auto" }), /Recadrage inconnu/);
+});
+
+test("motionCenters place le cadre sur la zone en mouvement", () => {
+    const frames = [frameWithBlock(240, 0), frameWithBlock(250, 0.5), frameWithBlock(250, 1)];
+    const centers = motionCenters(frames, { width: 320, height: 180 }, 0.3);
+    assert.equal(centers[0], null);
+    // Le cadre (96 pixels) couvre l'ancienne et la nouvelle position du bloc (240 à 280)
+    const left = centers[1] * 320 - 48;
+    assert.ok(left <= 240 && left + 96 >= 280);
+    // Aucun pixel n'a changé
+    assert.equal(centers[2], null);
+});
+
+test("personCenter ignore les autres objets et suit la plus grande personne", () => {
+    const detections = [
+        { label: "person", score: 0.9, box: { xmin: 20, ymin: 10, xmax: 60, ymax: 170 } },
+        { label: "person", score: 0.9, box: { xmin: 280, ymin: 120, xmax: 300, ymax: 150 } },
+        { label: "dog", score: 0.99, box: { xmin: 150, ymin: 0, xmax: 250, ymax: 180 } },
+    ];
+    const center = personCenter(detections, 320, 0.3);
+    assert.ok(center < 0.25);
+    assert.equal(personCenter([], 320, 0.3), null);
+});
+
+test("smoothPath comble les trous, ignore les petits déplacements et limite la vitesse", () => {
+    // Oscillation de 2%, sous la zone morte: le cadre ne bouge pas
+    const shaky = smoothPath([0, 1, 2, 3].map(t => ({ t, x: t % 2 ? 0.52 : 0.5 })), DEFAULT_REFRAME_SETTINGS);
+    assert.deepEqual(shaky.map(point => point.x), [0.5, 0.5, 0.5, 0.5]);
+
+    const samples = [0, 1, 2, 3, 4, 5, 6, 7, 8].map(t => ({ t, x: t < 4 ? 0.5 : t === 4 ? null : 0.9 }));
+    const path = smoothPath(samples, DEFAULT_REFRAME_SETTINGS);
+    assert.equal(path.length, samples.length);
+    assert.ok(path[8].x > 0.8);
+    for (let i = 1; i < path.length; i++) {
+        assert.ok(Math.abs(path[i].x - path[i - 1].x) <= DEFAULT_REFRAME_SETTINGS.maxSpeed + 1e-9);
+    }
+    assert.deepEqual(smoothPath([{ t: 0, x: null }], DEFAULT_REFRAME_SETTINGS), []);
+});
+
+test("cropXExpression interpole le chemin simplifié, avec miroir et vitesse", () => {
+    const path = simplifyPath([{ t: 0, x: 0.2 }, { t: 1, x: 0.3 }, { t: 2, x: 0.4 }, { t: 4, x: 0.4 }]);
+    assert.equal(path.length, 3);
+    assert.equal(cropXExpression(path), "clip(if(lt(t,2),0.2+0.1*(t-0),if(lt(t,4),0.4+0*(t-2),0.4))*iw-ow/2,0,iw-ow)");
+    assert.equal(cropXExpression([{ t: 0, x: 0.25 }, { t: 10, x: 0.25 }], { mirror: true, speed: 2 }), "clip(0.75*iw-ow/2,0,iw-ow)");
+    assert.equal(cropXExpression([]), "clip(0.5*iw-ow/2,0,iw-ow)");
+});
+
+test("buildVideoFilter recadre le mode crop sur le chemin du sujet, après le miroir et la vitesse", () => {
+    // Miroir (effets par défaut): le sujet à gauche de la source se retrouve à droite de l'image retournée
+    assert.match(buildVideoFilter("crop", { cropPath: [{ t: 0, x: 0.25 }, { t: 10, x: 0.25 }] }),
+        /,hflip,crop='min\(iw,ih\*1080\/1920\)':'min\(ih,iw\*1920\/1080\)':'clip\(0\.75\*iw-ow\/2,0,iw-ow\)':\(ih-oh\)\/2,scale=1080:1920"$/);
+    // Vitesse x2: le chemin, mesuré sur la source, est parcouru en deux fois moins de temps
+    assert.match(buildVideoFilter("crop", { effects: { ...EFFECTS, mirror: false, speed: 2 }, cropPath: [{ t: 0, x: 0.3 }, { t: 4, x: 0.7 }] }),
+        /,setpts=0\.5000\*PTS,crop='[^']*':'[^']*':'clip\(if\(lt\(t,2\),0\.3\+0\.2\*\(t-0\),0\.7\)\*iw-ow\/2,0,iw-ow\)':\(ih-oh\)\/2,/);
+    // Sans chemin: cadre centré
+    assert.match(buildVideoFilter("crop", { cropPath: [] }), /':\(iw-ow\)\/2:\(ih-oh\)\/2,scale=1080:1920"$/);
+});
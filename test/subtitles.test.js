@@ -0,0 +1,119 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+    parseTimestamp,
+    stripInlineTags,
+    parseSubtitles,
+    dedupeCues,
+    clipCues,
+    formatSrtTime,
+    serializeSrt,
+    serializeVtt,
+    resolveSubtitleOutputs,
+} = require("../lib/subtitles");
+const { escapeAssText } = require("../lib/captions");
+
+const fixture = name => fs.readFileSync(path.join(__dirname, "fixtures", name), "utf-8");
+
+test("parseTimestamp lit les formats SRT et VTT", () => {
+    assert.equal(parseTimestamp("01:02:03,456"), 3723.456);
+    assert.equal(parseTimestamp("01:02:03.456"), 3723.456);
+    assert.equal(parseTimestamp("02:03.456"), 123.456);
+    assert.equal(parseTimestamp("00:00:01,5"), 1.5);
+    assert.equal(parseTimestamp("1:2:3"), null);
+});
+
+test("stripInlineTags retire les balises et décode les entités", () => {
+    assert.equal(stripInlineTags("<v Alice>Salut</v> &lt;toi&gt; &amp; &#233;t&#xE9;", true), "Salut <toi> & été");
+    assert.equal(stripInlineTags("mot<00:00:01.000><c> suivant</c>", true), "mot suivant");
+    assert.equal(stripInlineTags("{\\an8}<i>En haut</i>, <font color=\"red\">rouge</font>"), "En haut, rouge");
+    // En SRT, un texte entre chevrons qui n'est pas une balise de mise en forme est conservé
+    assert.equal(stripInlineTags("<rires> ha"), "<rires> ha");
+    assert.equal(stripInlineTags(" \nligne\n "), "ligne");
+});
+
+test("parseSubtitles lit un SRT en CRLF avec BOM, coordonnées et heures sur plusieurs chiffres", () => {
+    const cues = parseSubtitles(fixture("crlf.srt"));
+    assert.deepEqual(cues, [
+        { start: 1, end: 3.5, text: "Bonjour à tous" },
+        { start: 4, end: 6.25, text: "Deux lignes\nde texte" },
+        { start: 3600.5, end: 3602, text: "Trois & fin" },
+    ]);
+});
+
+test("parseSubtitles lit un VTT: en-tête, NOTE, STYLE, identifiants, réglages, horodatages sans heures", () => {
+    const cues = parseSubtitles(fixture("settings.vtt"));
+    assert.deepEqual(cues, [
+        { start: 1, end: 3, text: "Salut <tout le monde>", settings: "align:start position:10% line:85%" },
+        { start: 4, end: 5.5, text: "Ligne suivante" },
+        { start: 3723.456, end: 3724, text: "Plus tard", settings: "size:80%" },
+    ]);
+});
+
+test("parseSubtitles ignore les blocs sans ligne de temps valide et trie les répliques", () => {
+    const cues = parseSubtitles("2\n00:00:05,000 --> 00:00:06,000\nB\n\nbloc invalide\n\n1\n00:00:01,000 --> 00:00:02,000\nA\n");
+    assert.deepEqual(cues.map(c => c.text), ["A", "B"]);
+});
+
+test("dedupeCues retire les répétitions des sous-titres automatiques YouTube", () => {
+    const cues = dedupeCues(parseSubtitles(fixture("youtube-auto.vtt")));
+    assert.deepEqual(cues.map(({ start, end, text }) => ({ start, end, text })), [
+        { start: 0.03, end: 2.76, text: "bonjour à tous" },
+        { start: 2.76, end: 5.96, text: "on commence" },
+        { start: 5.96, end: 8, text: "tout de suite" },
+        // Répétée plus tard, sans lien avec la réplique précédente: conservée
+        { start: 20, end: 22, text: "on commence" },
+    ]);
+});
+
+test("clipCues ramène les temps au clip et raccourcit les répliques à cheval sur une limite", () => {
+    const cues = [
+        { start: 0, end: 2, text: "dedans" },
+        { start: 9, end: 11, text: "à cheval, moitié visible" },
+        { start: 9.8, end: 10.4, text: "trop peu visible" },
+        { start: 12, end: 12, text: "durée nulle" },
+        { start: 14, end: 30, text: "longue, plus d'une seconde visible" },
+        { start: 30, end: 31, text: "hors segments" },
+    ];
+    const clipped = clipCues(cues, [{ start: 0, end: 10 }, { start: 12, end: 20 }]);
+    assert.deepEqual(clipped, [
+        { start: 0, end: 2, text: "dedans" },
+        { start: 9, end: 10, text: "à cheval, moitié visible" },
+        { start: 10, end: 10, text: "durée nulle" },
+        { start: 12, end: 18, text: "longue, plus d'une seconde visible" },
+    ]);
+});
+
+test("formatSrtTime arrondit sans produire 1000 millisecondes", () => {
+    assert.equal(formatSrtTime(1.9996), "00:00:02,000");
+    assert.equal(formatSrtTime(3723.456), "01:02:03,456");
+    assert.equal(formatSrtTime(-1), "00:00:00,000");
+});
+
+test("serializeSrt et serializeVtt relisent les mêmes répliques", () => {
+    const cues = parseSubtitles(fixture("settings.vtt"));
+    assert.deepEqual(parseSubtitles(serializeVtt(cues)), cues);
+    const withoutSettings = cues.map(({ start, end, text }) => ({ start, end, text }));
+    assert.deepEqual(parseSubtitles(serializeSrt(cues)), withoutSettings);
+});
+
+test("serializeSrt retire les lignes vides qui couperaient une réplique", () => {
+    assert.equal(serializeSrt([{ start: 0, end: 1, text: "a\n\nb" }]), "1\n00:00:00,000 --> 00:00:01,000\na\nb\n");
+});
+
+test("resolveSubtitleOutputs lit une liste et refuse les sorties inconnues", () => {
+    assert.deepEqual(resolveSubtitleOutputs(undefined), ["burn"]);
+    assert.deepEqual(resolveSubtitleOutputs("srt, mux,srt"), ["srt", "mux"]);
+    assert.deepEqual(resolveSubtitleOutputs(["none"]), []);
+    assert.throws(() => resolveSubtitleOutputs("pdf"), /Sortie de sous-titres inconnue/);
+});
+
+test("escapeAssText garde les barres obliques inverses sans laisser ASS interpréter \\N, \\h ou les balises", () => {
+    const escaped = escapeAssText("C:\\Nouveau\\h {\\b1}gras\nfin");
+    assert.equal(escaped, "C:\\\u2060Nouveau\\\u2060h (\\\u2060b1)gras fin");
+    // Texte affiché: le caractère inséré est invisible
+    assert.equal(escaped.replace(/\u2060/g, ""), "C:\\Nouveau\\h (\\b1)gras fin");
+    assert.doesNotMatch(escaped, /\\[Nnh{]/);
+});
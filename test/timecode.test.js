@@ -0,0 +1,30 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { isTimecode, parseRanges } = require("../lib/timecode");
+const { CliError, EXIT_CODES, readTimecodeAnswer } = require("../lib/cli");
+
+test("isTimecode refuse les minutes et secondes au-delà de 59", () => {
+    for (const value of ["90", "1:30", "1:05:30", "90:00", "0:59.5", " 2:3 "]) {
+        assert.equal(isTimecode(value), true, value);
+    }
+    for (const value of ["1:75", "1:60", "1:60:00", "1:00:99", "1:", "1:2:3:4", "abc"]) {
+        assert.equal(isTimecode(value), false, value);
+    }
+});
+
+test("parseRanges lit les clips et refuse les timecodes hors limites", () => {
+    assert.deepEqual(parseRanges("1:30-2:10, 5:00-5:20+5:40-6:00"), [
+        [{ start: 90, end: 130 }],
+        [{ start: 300, end: 320 }, { start: 340, end: 360 }],
+    ]);
+    assert.equal(parseRanges("1:00-1:75"), null);
+});
+
+test("readTimecodeAnswer lit la réponse interactive et refuse les timecodes invalides", () => {
+    assert.equal(readTimecodeAnswer(" 1:30 ", "de départ"), 90);
+    assert.equal(readTimecodeAnswer("", "de fin"), null);
+    for (const answer of ["abc", "1:75"]) {
+        assert.throws(() => readTimecodeAnswer(answer, "de départ"),
+            err => err instanceof CliError && err.exitCode === EXIT_CODES.USAGE && /Timecode de départ invalide/.test(err.message));
+    }
+});